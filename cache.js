@@ -0,0 +1,117 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import path from 'path';
+// Written at most this often when persisting to disk
+const SAVE_DELAY_MS = 1000;
+// In-memory cache of Blogger read responses. Within the TTL an entry is served without a request; after that it is
+// revalidated with its ETag (If-None-Match), and a 304 keeps it. Writes invalidate the affected entries.
+export class ReadCache {
+    ttlMs;
+    maxEntries;
+    file;
+    entries = new Map();
+    hits = 0;
+    revalidated = 0;
+    misses = 0;
+    saveTimer;
+    constructor({ ttlMs, maxEntries = 500, file } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.file = file;
+        if (file) {
+            this.load();
+            // The debounced save may not have run yet when the process ends
+            process.once('exit', () => this.saveTimer && this.save());
+        }
+    }
+    // Keys start with the blog ID so a write can drop everything cached for that blog's posts
+    static key(blogId, kind, id, identity, params) {
+        return `${blogId}|${kind}|${id ?? ''}|${identity}|${JSON.stringify(params)}`;
+    }
+    // Run `request(options)` unless a fresh entry exists. `options` carries If-None-Match when revalidating.
+    // Resolves with an API-style response ({ data }); with `bypass` the cached copy is ignored but the result is stored.
+    async fetch(key, request, { bypass = false } = {}) {
+        const entry = bypass ? undefined : this.entries.get(key);
+        if (entry && Date.now() - entry.checkedAt < this.ttlMs) {
+            this.hits++;
+            this.touch(key, entry);
+            return { data: entry.data };
+        }
+        const response = await request(entry?.etag ? { headers: { 'If-None-Match': entry.etag } } : undefined);
+        if (response.status === 304 && entry) {
+            this.revalidated++;
+            entry.checkedAt = Date.now();
+            this.touch(key, entry);
+            this.scheduleSave();
+            return { data: entry.data };
+        }
+        this.misses++;
+        const etag = response.headers?.etag ?? response.data?.etag;
+        this.touch(key, { data: response.data, etag, checkedAt: Date.now() });
+        this.scheduleSave();
+        return response;
+    }
+    // Map order doubles as recency order: the first entry is the least recently used
+    touch(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+    // Drop the blog's info and post lists, and the given post. Blogs looked up by URL can't be matched to an ID
+    // without fetching them, so those are dropped on every write.
+    invalidate(blogId, postId) {
+        const prefixes = [`${blogId}|blog|`, `${blogId}|posts|`, `url|`];
+        if (postId) {
+            prefixes.push(`${blogId}|post|${postId}|`);
+        }
+        for (const key of [...this.entries.keys()]) {
+            if (prefixes.some(prefix => key.startsWith(prefix))) {
+                this.entries.delete(key);
+            }
+        }
+        this.scheduleSave();
+    }
+    stats() {
+        return {
+            entries: this.entries.size,
+            ttlSeconds: this.ttlMs / 1000,
+            hits: this.hits,
+            revalidated: this.revalidated,
+            misses: this.misses,
+            persisted: this.file || null,
+        };
+    }
+    load() {
+        try {
+            const { entries } = JSON.parse(readFileSync(this.file, 'utf8'));
+            this.entries = new Map(entries);
+        }
+        catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Ignoring unreadable cache file ${this.file}: ${error.message}`);
+            }
+        }
+    }
+    scheduleSave() {
+        if (!this.file || this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+    // Cached drafts are private, so the file gets the same permissions as the token file
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = undefined;
+        try {
+            mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+            const tempFile = `${this.file}.${process.pid}.tmp`;
+            writeFileSync(tempFile, JSON.stringify({ entries: [...this.entries] }), { mode: 0o600 });
+            renameSync(tempFile, this.file);
+        }
+        catch (error) {
+            console.error('Failed to save the read cache:', error);
+        }
+    }
+}
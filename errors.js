@@ -0,0 +1,94 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { errorReason, errorStatus, isRateLimited } from './quota.js';
+// Every failed tool call is reported as one of these categories, with a hint on how to recover
+export const ERROR_CATEGORIES = {
+    invalid_input: 'Fix the arguments as the message describes and call the tool again.',
+    not_found: 'Check the IDs: list_posts, list_drafts, list_pages or list_comments show the valid ones. The item may have been deleted; list_revisions can restore deleted posts.',
+    permission_denied: 'The signed-in account may not do this on this blog. Check auth_status: a read-only sign-in needs auth_login with readOnly: false, and the account must be an author or admin of the blog.',
+    auth_expired: 'Sign in again with auth_login (in headless mode finish with auth_complete), then retry.',
+    quota: 'The Blogger API rate limit or daily quota was hit and retries did not help. Wait a while before retrying and make fewer calls; get_usage shows this session\'s usage.',
+    conflict: 'The item changed since it was read. Fetch it again, reapply the change and retry.',
+    unavailable: 'Blogger could not be reached or had a server error after several retries. Try again in a minute.',
+    not_configured: 'The server is missing configuration that only the user can add to the MCP client settings, such as GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET or BLOGGER_API_KEY.',
+    internal: 'Unexpected error; the message has the details. Retrying the same call is unlikely to help.',
+};
+const QUOTA_REASONS = new Set(['dailyLimitExceeded', 'quotaExceeded', 'limitExceeded']);
+const NETWORK_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+// File system errors on a path the caller passed (content_file, an import or export directory), which are bad arguments
+const PATH_ERRORS = {
+    ENOENT: 'does not exist',
+    EISDIR: 'is a directory, not a file',
+    ENOTDIR: 'is not a directory',
+    EACCES: 'cannot be read or written with the server\'s permissions',
+};
+export class ToolError extends Error {
+    category;
+    hint;
+    status;
+    reason;
+    details;
+    constructor(category, message, { hint, status, reason, details } = {}) {
+        super(message);
+        this.name = 'ToolError';
+        this.category = category;
+        this.hint = hint ?? ERROR_CATEGORIES[category];
+        this.status = status;
+        this.reason = reason;
+        this.details = details;
+    }
+}
+function categorize(error) {
+    if (error instanceof McpError) {
+        return error.code === ErrorCode.InvalidParams || error.code === ErrorCode.MethodNotFound ? 'invalid_input' : 'internal';
+    }
+    if (error?.path && PATH_ERRORS[error.code]) {
+        return 'invalid_input';
+    }
+    const status = errorStatus(error);
+    if (isRateLimited(error) || QUOTA_REASONS.has(errorReason(error))) {
+        return 'quota';
+    }
+    switch (status) {
+        case 400:
+            return 'invalid_input';
+        case 401:
+            return 'auth_expired';
+        case 403:
+            return 'permission_denied';
+        case 404:
+            return 'not_found';
+        case 409:
+        case 412:
+            return 'conflict';
+    }
+    if (status >= 500 || NETWORK_ERRORS.has(error?.code)) {
+        return 'unavailable';
+    }
+    return 'internal';
+}
+// Classify an error caught in a tool method, prefixing `context` (e.g. "Failed to get post"). Errors that are already
+// classified, and argument errors, pass through unchanged so their message isn't wrapped twice.
+export function toolError(error, context) {
+    if (error instanceof ToolError) {
+        return error;
+    }
+    if (error instanceof McpError) {
+        // The code of an McpError is a JSON-RPC code, not an HTTP status
+        const category = categorize(error);
+        const message = error.message.replace(/^MCP error -?\d+: /, '');
+        return new ToolError(category, category === 'invalid_input' ? message : `${context}: ${message}`);
+    }
+    return new ToolError(categorize(error), `${context}: ${error instanceof Error ? error.message : String(error)}`, {
+        hint: error?.path && PATH_ERRORS[error.code] ? `The path ${error.path} ${PATH_ERRORS[error.code]}. Check the path (relative paths are resolved from ${process.cwd()}) and call the tool again.` : undefined,
+        status: errorStatus(error),
+        reason: errorReason(error),
+    });
+}
+// The tool result for a failed call: isError, so the assistant sees the category and hint and can recover by itself
+export function errorResult(error) {
+    const { category, message, hint, status, reason, details } = toolError(error, 'Tool execution failed');
+    return {
+        content: [{ type: 'text', text: JSON.stringify({ error: { category, message, hint, ...(status ? { status } : {}), ...(reason ? { reason } : {}), ...(details ? { details } : {}) } }, null, 2) }],
+        isError: true,
+    };
+}
@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG_DIR } from './oauth.js';
+import { ToolError } from './errors.js';
+const HISTORY_DIR = path.join(CONFIG_DIR, 'history');
+// Oldest snapshots of a post are pruned beyond this many
+const MAX_REVISIONS_PER_POST = 100;
+function postDir(blogId, postId) {
+    // IDs are numeric strings; anything else would escape the history directory
+    if (!/^[\w-]+$/.test(String(blogId)) || !/^[\w-]+$/.test(String(postId))) {
+        throw new Error(`Invalid blog or post ID: ${blogId}/${postId}`);
+    }
+    return path.join(HISTORY_DIR, String(blogId), String(postId));
+}
+// Snapshot the full ADMIN-view post before `action` (update, publish, revert, delete, restore) changes it
+export async function saveRevision(blogId, post, action) {
+    const dir = postDir(blogId, post.id);
+    const savedAt = new Date().toISOString();
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+    let revisionId;
+    for (let attempt = 0;; attempt++) {
+        // Two snapshots of the same post within a millisecond get a counter instead of overwriting each other
+        revisionId = `${savedAt.replace(/[-:.]/g, '')}${attempt ? `.${attempt}` : ''}-${action}`;
+        try {
+            await fs.writeFile(path.join(dir, `${revisionId}.json`), JSON.stringify({ revisionId, blogId, postId: post.id, action, savedAt, post }, null, 2), { mode: 0o600, flag: 'wx' });
+            break;
+        }
+        catch (error) {
+            if (error.code !== 'EEXIST')
+                throw error;
+        }
+    }
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    for (const file of files.slice(0, Math.max(0, files.length - MAX_REVISIONS_PER_POST))) {
+        await fs.unlink(path.join(dir, file)).catch(() => { });
+    }
+    return revisionId;
+}
+// Revisions of one post, newest first, or with no postId the posts that have any history
+export async function listRevisions(blogId, postId) {
+    if (!postId) {
+        const blogDir = path.join(HISTORY_DIR, String(blogId));
+        const postIds = await fs.readdir(blogDir).catch(() => []);
+        const posts = [];
+        for (const id of postIds) {
+            const revisions = await listRevisions(blogId, id);
+            if (revisions.length) {
+                const latest = revisions[0];
+                posts.push({ postId: id, title: latest.title, revisions: revisions.length, lastAction: latest.action, lastSavedAt: latest.savedAt });
+            }
+        }
+        return posts.sort((a, b) => b.lastSavedAt.localeCompare(a.lastSavedAt));
+    }
+    const dir = postDir(blogId, postId);
+    const files = (await fs.readdir(dir).catch(() => [])).filter(file => file.endsWith('.json')).sort().reverse();
+    const revisions = [];
+    for (const file of files) {
+        const { revisionId, action, savedAt, post } = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        revisions.push({ revisionId, action, savedAt, title: post.title, status: post.status || 'LIVE', updated: post.updated });
+    }
+    return revisions;
+}
+export async function loadRevision(blogId, postId, revisionId) {
+    if (!/^[\w.-]+$/.test(String(revisionId)) || String(revisionId).startsWith('.')) {
+        throw new ToolError('invalid_input', `Invalid revision ID: ${revisionId}`);
+    }
+    try {
+        return JSON.parse(await fs.readFile(path.join(postDir(blogId, postId), `${revisionId}.json`), 'utf8'));
+    }
+    catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new ToolError('not_found', `No revision ${revisionId} for post ${postId}. Use list_revisions to see the available ones`);
+        }
+        throw error;
+    }
+}
+// HTML is often a single line, so break it at tag boundaries to get a useful line diff
+function contentLines(html) {
+    return String(html || '').replace(/>\s*</g, '>\n<').split('\n');
+}
+// Above this many line pairs the LCS table gets too big; the changed middle is shown as a plain replacement
+const MAX_DIFF_CELLS = 4000000;
+// Unified-style line diff (LCS based) with `context` unchanged lines around each change
+export function diffLines(before, after, context = 2) {
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix])
+        prefix++;
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix])
+        suffix++;
+    const a = before.slice(prefix, before.length - suffix);
+    const b = after.slice(prefix, after.length - suffix);
+    const ops = before.slice(0, prefix).map(line => [' ', line]);
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        ops.push(...a.map(line => ['-', line]), ...b.map(line => ['+', line]));
+    }
+    else {
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                ops.push([' ', a[i++]]);
+                j++;
+            }
+            else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                ops.push(['-', a[i++]]);
+            }
+            else {
+                ops.push(['+', b[j++]]);
+            }
+        }
+    }
+    ops.push(...before.slice(before.length - suffix).map(line => [' ', line]));
+    const keep = ops.map((op, index) => op[0] !== ' ' || ops.slice(Math.max(0, index - context), index + context + 1).some(near => near[0] !== ' '));
+    const lines = [];
+    ops.forEach(([sign, line], index) => {
+        if (keep[index])
+            lines.push(`${sign} ${line}`);
+        else if (index === 0 || keep[index - 1])
+            lines.push('  ...');
+    });
+    return lines.join('\n');
+}
+// Post settings compared as a whole, since they are small objects or strings
+const METADATA_FIELDS = ['location', 'customMetaData', 'readerComments'];
+// Readable summary of what changes between two versions of a post: title, labels, settings and a content diff
+export function describeChanges(before, after) {
+    const beforeLabels = before.labels || [];
+    const afterLabels = after.labels || [];
+    const changes = {
+        title: (before.title || '') !== (after.title || '') ? { from: before.title || '', to: after.title || '' } : null,
+        labels: {
+            added: afterLabels.filter(label => !beforeLabels.includes(label)),
+            removed: beforeLabels.filter(label => !afterLabels.includes(label)),
+        },
+        metadata: Object.fromEntries(METADATA_FIELDS
+            .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+            .map(field => [field, { from: before[field] ?? null, to: after[field] ?? null }])),
+        content: (before.content || '') !== (after.content || '') ? diffLines(contentLines(before.content), contentLines(after.content)) : null,
+    };
+    changes.changed = !!changes.title || changes.labels.added.length > 0 || changes.labels.removed.length > 0 || Object.keys(changes.metadata).length > 0 || !!changes.content;
+    return changes;
+}
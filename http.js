@@ -0,0 +1,108 @@
+import express from 'express';
+import { randomUUID, timingSafeEqual, createHash } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 8080;
+const MCP_PATH = '/mcp';
+// Sessions with no request for this long are closed, so clients that vanish without a DELETE don't pile up
+const SESSION_IDLE_TIMEOUT_MS = 60 * 60 * 1000;
+// Hash both sides first so the comparison takes the same time whatever the token lengths
+function tokenMatches(given, expected) {
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(given), digest(expected));
+}
+function jsonRpcError(res, status, code, message) {
+    res.status(status).json({ jsonrpc: '2.0', error: { code, message }, id: null });
+}
+// Serve MCP over Streamable HTTP at /mcp. Every client session gets its own server from createServer(),
+// and every request must carry one of `tokens` as "Authorization: Bearer <token>".
+export async function startHttpServer({ host = DEFAULT_HTTP_HOST, port = DEFAULT_HTTP_PORT, tokens, createServer }) {
+    if (!tokens?.length) {
+        throw new Error('HTTP mode requires MCP_HTTP_TOKEN (one or more comma-separated bearer tokens) so that only your MCP clients can use the server');
+    }
+    const sessions = new Map();
+    const app = express();
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', sessions: sessions.size });
+    });
+    app.use(MCP_PATH, (req, res, next) => {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme?.toLowerCase() !== 'bearer' || !token || !tokens.some(expected => tokenMatches(token, expected))) {
+            res.set('WWW-Authenticate', 'Bearer realm="mcp-blogger"');
+            jsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+            return;
+        }
+        next();
+    });
+    // Bodies are only parsed once the token checks out, so unauthenticated clients can't make the server parse them
+    app.use(express.json({ limit: '10mb' }));
+    async function closeSession(sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session)
+            return;
+        sessions.delete(sessionId);
+        clearTimeout(session.idleTimer);
+        await session.server.close().catch(error => console.error('[MCP Error] Failed to close session:', error));
+    }
+    function touch(session) {
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => closeSession(session.transport.sessionId), SESSION_IDLE_TIMEOUT_MS);
+        session.idleTimer.unref();
+    }
+    app.post(MCP_PATH, async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+        let session = sessionId ? sessions.get(sessionId) : undefined;
+        if (!session) {
+            if (sessionId || !isInitializeRequest(req.body)) {
+                jsonRpcError(res, sessionId ? 404 : 400, -32000, sessionId ? 'Session not found; reinitialize' : 'No session: the first request must be initialize');
+                return;
+            }
+            const transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: id => {
+                    sessions.set(id, session);
+                    touch(session);
+                },
+            });
+            transport.onclose = () => {
+                if (transport.sessionId)
+                    closeSession(transport.sessionId);
+            };
+            session = { transport, server: createServer() };
+            await session.server.connect(transport);
+        }
+        else {
+            touch(session);
+        }
+        await session.transport.handleRequest(req, res, req.body);
+    });
+    // GET opens the server-to-client notification stream, DELETE ends the session
+    const handleSessionRequest = async (req, res) => {
+        const session = sessions.get(req.headers['mcp-session-id']);
+        if (!session) {
+            jsonRpcError(res, 404, -32000, 'Session not found');
+            return;
+        }
+        touch(session);
+        await session.transport.handleRequest(req, res);
+    };
+    app.get(MCP_PATH, handleSessionRequest);
+    app.delete(MCP_PATH, handleSessionRequest);
+    const httpServer = await new Promise((resolve, reject) => {
+        const listener = app.listen(port, host, () => resolve(listener));
+        listener.once('error', reject);
+    });
+    let closing;
+    // Stop accepting connections, close every session and wait for in-flight requests to finish
+    const close = () => {
+        closing ??= (async () => {
+            const closed = new Promise(resolve => httpServer.close(resolve));
+            await Promise.all([...sessions.keys()].map(closeSession));
+            httpServer.closeIdleConnections?.();
+            await closed;
+        })();
+        return closing;
+    };
+    return { url: `http://${host.includes(':') ? `[${host}]` : host}:${httpServer.address().port}${MCP_PATH}`, close };
+}
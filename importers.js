@@ -0,0 +1,196 @@
+import { XMLParser } from 'fast-xml-parser';
+import fs from 'fs/promises';
+import path from 'path';
+import { frontMatterToPostArgs, isMarkdownFile, parseFrontMatter, renderMarkdown } from './markdown.js';
+export const IMPORT_FORMATS = ['atom', 'wxr', 'directory'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const ATOM_KIND_SCHEME = 'http://schemas.google.com/g/2005#kind';
+const ATOM_POST_KIND = 'http://schemas.google.com/blogger/2008/kind#post';
+// Subdirectories of an export_blog backup that don't hold posts
+const NON_POST_DIRECTORIES = ['pages', 'comments'];
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    isArray: name => ['entry', 'item', 'category', 'link'].includes(name),
+});
+function text(node) {
+    if (node === undefined || node === null)
+        return '';
+    return String(typeof node === 'object' ? node['#text'] ?? '' : node).trim();
+}
+function unique(values) {
+    return [...new Set(values.filter(Boolean))];
+}
+// Blogger exports mix posts with comments, settings and templates; older exports tag each entry with a
+// kind category, newer (Takeout) exports use <blogger:type> and <blogger:status>
+function isAtomPost(entry) {
+    const type = text(entry['blogger:type']);
+    if (type) {
+        return type.toUpperCase() === 'POST' && text(entry['blogger:status']).toUpperCase() !== 'DELETED';
+    }
+    const kind = (entry.category || []).find(category => category['@_scheme'] === ATOM_KIND_SCHEME);
+    return !kind || kind['@_term'] === ATOM_POST_KIND;
+}
+function parseAtom(xml, file) {
+    const feed = xmlParser.parse(xml).feed;
+    if (!feed) {
+        throw new Error(`${file} is not an Atom feed (no <feed> element)`);
+    }
+    return (feed.entry || []).filter(isAtomPost).map((entry, index) => {
+        const alternate = (entry.link || []).find(link => link['@_rel'] === 'alternate');
+        const status = text(entry['blogger:status']).toUpperCase();
+        return {
+            title: text(entry.title),
+            content: text(entry.content),
+            labels: unique((entry.category || []).filter(category => category['@_scheme'] !== ATOM_KIND_SCHEME).map(category => category['@_term'])),
+            isDraft: text(entry['app:control']?.['app:draft']) === 'yes' || status === 'DRAFT',
+            published: text(entry.published) || null,
+            sourceUrl: alternate?.['@_href'] || text(entry.id) || null,
+            source: `${file}#entry-${index + 1}`,
+        };
+    });
+}
+// WXR dates look like "2024-01-31 18:00:00"; the _gmt variant is UTC, the other is the site's local time
+function wxrDate(item) {
+    const gmt = text(item['wp:post_date_gmt']);
+    if (gmt && !gmt.startsWith('0000')) {
+        return `${gmt.replace(' ', 'T')}Z`;
+    }
+    const local = text(item['wp:post_date']);
+    return local && !local.startsWith('0000') ? local.replace(' ', 'T') : null;
+}
+function parseWxr(xml, file) {
+    const channel = xmlParser.parse(xml).rss?.channel;
+    if (!channel) {
+        throw new Error(`${file} is not a WordPress WXR file (no <rss><channel> element)`);
+    }
+    return (channel.item || [])
+        .filter(item => text(item['wp:post_type']) === 'post' && text(item['wp:status']) !== 'trash')
+        .map((item, index) => ({
+        title: text(item.title),
+        content: text(item['content:encoded']),
+        labels: unique((item.category || []).map(text)),
+        // "future" posts keep their date and end up scheduled
+        isDraft: !['publish', 'future'].includes(text(item['wp:status'])),
+        published: wxrDate(item),
+        sourceUrl: text(item.link?.[0]) || text(item.guid) || null,
+        source: `${file}#item-${index + 1}`,
+    }));
+}
+async function listPostFiles(dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && !entry.name.startsWith('.') && !NON_POST_DIRECTORIES.includes(entry.name)) {
+            files.push(...await listPostFiles(fullPath));
+        }
+        else if (entry.isFile() && (isMarkdownFile(entry.name) || HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) || path.extname(entry.name) === '.json')) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+// Files without a status of their own are imported as drafts, as create_post would create them. `manifestEntry` is the
+// file's entry in an export_blog manifest, which holds the metadata that an html-format export doesn't.
+async function parsePostFile(file, manifestEntry) {
+    const raw = await fs.readFile(file, 'utf8');
+    const fallbackTitle = path.basename(file, path.extname(file));
+    if (path.extname(file) === '.json') {
+        // A post resource as written by export_blog with format "json"
+        const post = JSON.parse(raw);
+        return {
+            title: post.title || fallbackTitle,
+            content: post.content || '',
+            labels: post.labels || [],
+            isDraft: post.status === 'DRAFT',
+            published: post.status === 'DRAFT' ? null : post.published || null,
+            sourceUrl: post.url || null,
+            source: file,
+        };
+    }
+    if (isMarkdownFile(file)) {
+        const { data, body } = parseFrontMatter(raw);
+        const args = frontMatterToPostArgs(data);
+        const date = args.publishDate ?? data.date;
+        return {
+            title: args.title || fallbackTitle,
+            content: renderMarkdown(body),
+            labels: args.labels || [],
+            isDraft: args.isDraft !== false,
+            published: date instanceof Date ? date.toISOString() : date ? String(date) : null,
+            sourceUrl: data.url || data.permalink || null,
+            source: file,
+        };
+    }
+    const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(raw)?.[1] || /<h1[^>]*>([\s\S]*?)<\/h1>/i.exec(raw)?.[1];
+    const body = /<body[^>]*>([\s\S]*?)<\/body>/i.exec(raw)?.[1];
+    if (manifestEntry) {
+        const isDraft = manifestEntry.status === 'DRAFT';
+        return {
+            title: manifestEntry.title || fallbackTitle,
+            content: (body ?? raw).trim(),
+            labels: manifestEntry.labels || [],
+            isDraft,
+            published: isDraft ? null : manifestEntry.published || null,
+            sourceUrl: manifestEntry.url || null,
+            source: file,
+        };
+    }
+    return {
+        title: title ? title.replace(/<[^>]+>/g, '').trim() : fallbackTitle,
+        content: (body ?? raw).trim(),
+        labels: [],
+        isDraft: true,
+        published: null,
+        sourceUrl: null,
+        source: file,
+    };
+}
+async function readDirectory(dir) {
+    let entries;
+    try {
+        // An export_blog backup: the manifest says which files are posts
+        const manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+        entries = Object.values(manifest.items || {}).filter(item => item.type === 'post').map(item => ({ file: path.join(dir, item.file), manifestEntry: item }));
+    }
+    catch {
+        entries = (await listPostFiles(dir)).map(file => ({ file }));
+    }
+    const items = [];
+    for (const { file, manifestEntry } of entries) {
+        try {
+            items.push(await parsePostFile(file, manifestEntry));
+        }
+        catch (error) {
+            // One bad file fails only its own item
+            items.push({ title: manifestEntry?.title || path.basename(file, path.extname(file)), source: file, error: `Could not read ${file}: ${error.message}` });
+        }
+    }
+    return items;
+}
+// Read a local Atom feed, WordPress WXR file or directory of post files into a list of
+// { title, content, labels, isDraft, published, sourceUrl, source } items. Directory files that can't be read are
+// returned as { title, source, error } instead.
+export async function readImportSource(source, format) {
+    if (format && !IMPORT_FORMATS.includes(format)) {
+        throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    const stat = await fs.stat(source);
+    if (stat.isDirectory()) {
+        if (format && format !== 'directory') {
+            throw new Error(`${source} is a directory, but format "${format}" expects a file`);
+        }
+        return { format: 'directory', items: await readDirectory(source) };
+    }
+    const xml = await fs.readFile(source, 'utf8');
+    const detected = format || (/<rss[\s>]/.test(xml) && xml.includes('wordpress.org/export') ? 'wxr' : /<feed[\s>]/.test(xml) ? 'atom' : null);
+    if (detected === 'atom')
+        return { format: detected, items: parseAtom(xml, source) };
+    if (detected === 'wxr')
+        return { format: detected, items: parseWxr(xml, source) };
+    if (detected === 'directory') {
+        throw new Error(`${source} is a file, but format "directory" expects a directory`);
+    }
+    throw new Error(`Could not detect the format of ${source}. Pass format: "atom" or "wxr"`);
+}
@@ -1,15 +1,51 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError, } from '@modelcontextprotocol/sdk/types.js';
+import { CallToolRequestSchema, ErrorCode, GetPromptRequestSchema, ListPromptsRequestSchema, ListResourcesRequestSchema, ListResourceTemplatesRequestSchema, ListToolsRequestSchema, McpError, ReadResourceRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema, } from '@modelcontextprotocol/sdk/types.js';
 import { google } from 'googleapis';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
 import { readFileSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline/promises';
+import { parseArgs } from 'util';
 import { BloggerOAuth } from './oauth.js';
+import { ApiUsage, errorStatus, withRetries } from './quota.js';
+import { errorResult, toolError, ToolError } from './errors.js';
+import { ReadCache } from './cache.js';
+import { internalPostLinks, lintPost, MAX_TITLE_LENGTH } from './lint.js';
+import { findBlog, loadConfig } from './profiles.js';
+import { DEFAULT_HTTP_HOST, DEFAULT_HTTP_PORT, startHttpServer } from './http.js';
+import { IMPORT_FORMATS, readImportSource } from './importers.js';
+import { buildPrompt, labelTaxonomy, PROMPTS } from './prompts.js';
+import { describeChanges, listRevisions, loadRevision, saveRevision } from './history.js';
+import { compareSyncState, hashContent, loadSyncState, readSyncFiles, saveSyncState, syncFileName } from './sync.js';
+import { frontMatterToPostArgs, htmlToMarkdown, isMarkdownFile, parseFrontMatter, renderMarkdown, stringifyFrontMatter } from './markdown.js';
 import pkg from './package.json' with { type: 'json' };
 const API_KEY = process.env.BLOGGER_API_KEY;
 const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const DEFAULT_BLOG_ID = process.env.DEFAULT_BLOG_ID || '';
+let config;
+try {
+    config = loadConfig();
+}
+catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+const DEFAULT_BLOG_ID = process.env.DEFAULT_BLOG_ID || config.defaultBlog || '';
+// Time zone for publish dates given without an explicit offset (defaults to the server's local time zone)
+const DEFAULT_TIMEZONE = process.env.BLOGGER_TIMEZONE || undefined;
+// Upper bounds for "all: true" listings so a huge blog can't exhaust the API quota in one call
+const FETCH_ALL_PAGE_SIZE = 100;
+const FETCH_ALL_MAX_PAGES = 50;
+// Prompts that list the blog's labels read at most this many pages of the newest posts
+const PROMPT_MAX_PAGES = 3;
+// get_post, list_posts and get_blog_info results are reused for this many seconds, then revalidated with their ETag
+const CACHE_TTL_SECONDS = process.env.BLOGGER_CACHE_TTL !== undefined ? Number(process.env.BLOGGER_CACHE_TTL) : 300;
+// Shared by all sessions, so a write in one invalidates what the others have cached
+const readCache = new ReadCache({ ttlMs: Math.max(0, CACHE_TTL_SECONDS || 0) * 1000, file: process.env.BLOGGER_CACHE_FILE || undefined });
 // Check for OAuth credentials for write operations
 if (!CLIENT_ID || !CLIENT_SECRET) {
     console.error('⚠️  OAuth credentials missing. Write operations (create/update/delete posts) will be disabled.');
@@ -20,19 +56,398 @@ if (!API_KEY && (!CLIENT_ID || !CLIENT_SECRET)) {
     console.error('Either BLOGGER_API_KEY or OAuth credentials (GOOGLE_CLIENT_ID + GOOGLE_CLIENT_SECRET) are required');
     process.exit(1);
 }
-const oauthHandler = CLIENT_ID && CLIENT_SECRET ? new BloggerOAuth() : null;
+const oauthHandler = CLIENT_ID && CLIENT_SECRET ? new BloggerOAuth(config.defaultProfile) : null;
+// OAuth handlers for the other profiles, created on first use
+const profileHandlers = new Map();
+// The profile a tool call runs under: its "profile" argument, or else the profile of the blog alias it names
+const requestProfile = new AsyncLocalStorage();
+function checkProfile(profile) {
+    if (profile !== undefined && !config.profiles.includes(profile)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown profile "${profile}". Known profiles: ${config.profiles.join(', ')} (add others to "profiles" in config.json)`);
+    }
+    return profile;
+}
+function withProfile(profile, callback) {
+    return requestProfile.run({ profile: checkProfile(profile) }, callback);
+}
+function profileOAuth() {
+    const profile = requestProfile.getStore()?.profile || config.defaultProfile;
+    if (!oauthHandler || profile === oauthHandler.profile)
+        return oauthHandler;
+    if (!profileHandlers.has(profile))
+        profileHandlers.set(profile, new BloggerOAuth(profile));
+    return profileHandlers.get(profile);
+}
+// Resolve a blog ID or alias from config.json (falling back to DEFAULT_BLOG_ID). An alias also selects its profile
+// for the rest of the call, unless a profile was passed explicitly.
 function resolveBlogId(args) {
-    const blogId = args.blogId || DEFAULT_BLOG_ID;
-    if (!blogId) {
+    const value = args.blogId || DEFAULT_BLOG_ID;
+    if (!value) {
         throw new McpError(ErrorCode.InvalidParams, 'blogId is required. Provide it as a parameter or set DEFAULT_BLOG_ID environment variable.');
     }
-    return blogId;
+    const blog = findBlog(config, value);
+    if (!blog && !/^\d+$/.test(value)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown blog "${value}". Use a numeric blog ID or one of the aliases in config.json: ${Object.keys(config.blogs).join(', ') || 'none defined'}`);
+    }
+    const context = requestProfile.getStore();
+    if (blog && context && !context.profile) {
+        context.profile = blog.profile;
+    }
+    return blog ? blog.blogId : value;
+}
+const POST_STATUSES = ['live', 'draft', 'scheduled'];
+const POST_ORDER_BY = ['published', 'updated'];
+const POST_VIEWS = ['READER', 'AUTHOR', 'ADMIN'];
+const PAGE_STATUSES = ['live', 'draft'];
+const COMMENT_STATUSES = ['live', 'pending', 'spam', 'emptied'];
+const COMMENT_ACTIONS = ['approve', 'spam', 'remove_content'];
+const CONTENT_FORMATS = ['html', 'markdown'];
+const EXPORT_FORMATS = ['json', 'html', 'markdown'];
+const EXPORT_EXTENSIONS = { json: 'json', html: 'html', markdown: 'md' };
+const EXPORT_MANIFEST = 'manifest.json';
+const IMPORT_DEDUPE_MODES = ['sourceUrl', 'title', 'none'];
+const SYNC_FORMATS = ['markdown', 'html'];
+// readerComments argument values and the Blogger API values they stand for
+const READER_COMMENTS = { allow: 'ALLOW', disallow: 'DONT_ALLOW_SHOW_EXISTING', hide: 'DONT_ALLOW_HIDE_EXISTING' };
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const BULK_ACTIONS = ['publish', 'revert', 'delete', 'add_labels', 'remove_labels'];
+// These need the confirmToken from a dry run of the same action on the same posts
+const DESTRUCTIVE_BULK_ACTIONS = ['revert', 'delete'];
+const MAX_BULK_POSTS = 500;
+const DEFAULT_BULK_CONCURRENCY = 4;
+const MAX_BULK_CONCURRENCY = 10;
+// Appended to imported content so a re-run can recognise posts it already created
+const IMPORT_SOURCE_MARKER = /<!--\s*mcp-blogger:source=(\S+?)\s*-->/;
+function parseDateArg(value, name) {
+    if (value === undefined || value === null || value === '')
+        return undefined;
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        throw new McpError(ErrorCode.InvalidParams, `${name} must be an ISO 8601 date or date-time (e.g. 2024-01-01 or 2024-01-01T00:00:00Z)`);
+    }
+    return date.toISOString();
+}
+// Validate the location, customMetaData and readerComments arguments and convert them to Blogger post fields.
+// Only the given ones are returned; null clears location or customMetaData on update.
+function parsePostMetadata(args) {
+    const metadata = {};
+    if (args.location === null) {
+        metadata.location = null;
+    }
+    else if (args.location !== undefined) {
+        const { name, lat, lng, span } = typeof args.location === 'object' ? args.location : {};
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new McpError(ErrorCode.InvalidParams, 'location must be an object with a name, and optionally lat, lng and span');
+        }
+        if ((lat === undefined) !== (lng === undefined)) {
+            throw new McpError(ErrorCode.InvalidParams, 'location.lat and location.lng must be given together');
+        }
+        if (lat !== undefined && !(typeof lat === 'number' && lat >= -90 && lat <= 90 && typeof lng === 'number' && lng >= -180 && lng <= 180)) {
+            throw new McpError(ErrorCode.InvalidParams, 'location.lat must be a number from -90 to 90 and location.lng a number from -180 to 180');
+        }
+        if (span !== undefined && !/^\d+(?:\.\d+)?,\d+(?:\.\d+)?$/.test(String(span))) {
+            throw new McpError(ErrorCode.InvalidParams, 'location.span must be "<latitude span>,<longitude span>" in degrees, e.g. "0.05,0.08"');
+        }
+        metadata.location = { name: name.trim(), ...(lat !== undefined ? { lat, lng } : {}), ...(span !== undefined ? { span: String(span) } : {}) };
+    }
+    if (args.customMetaData !== undefined) {
+        // Blogger stores a string; objects are stored as JSON
+        metadata.customMetaData = args.customMetaData === null || typeof args.customMetaData === 'string' ? args.customMetaData : JSON.stringify(args.customMetaData);
+    }
+    if (args.readerComments !== undefined) {
+        if (!READER_COMMENTS[args.readerComments]) {
+            throw new McpError(ErrorCode.InvalidParams, `readerComments must be one of: ${Object.keys(READER_COMMENTS).join(', ')}`);
+        }
+        metadata.readerComments = READER_COMMENTS[args.readerComments];
+    }
+    return metadata;
+}
+function parseSlug(slug) {
+    if (slug === undefined)
+        return undefined;
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+        throw new McpError(ErrorCode.InvalidParams, 'slug must be lowercase letters and digits separated by single hyphens, e.g. "my-first-post"');
+    }
+    return slug;
+}
+// Author, images and settings of a post resource, as returned by get_post and the write tools
+function postMetadata(post) {
+    return {
+        author: post.author ? { id: post.author.id, displayName: post.author.displayName, url: post.author.url || null, image: post.author.image?.url || null } : null,
+        images: (post.images || []).map(image => image.url),
+        location: post.location || null,
+        customMetaData: post.customMetaData ?? null,
+        readerComments: Object.keys(READER_COMMENTS).find(name => READER_COMMENTS[name] === post.readerComments) ?? post.readerComments ?? null,
+    };
+}
+// Blogger derives the permalink from the title when a post is first published, and the API has no field for it. A slug
+// is applied by renaming the draft to a title made of its words, publishing it and renaming it back.
+function slugTitle(slug) {
+    return slug.replace(/-/g, ' ');
+}
+// A scheduled post gets its permalink when it goes live, by which time its real title is back
+function checkSlugPublishDate(slug, publishDate) {
+    if (slug && publishDate && new Date(publishDate).getTime() > Date.now()) {
+        throw new McpError(ErrorCode.InvalidParams, 'slug can\'t be combined with a future publishDate, since the permalink is only set when the post goes live. Publish it now, or schedule it without slug');
+    }
+}
+// Blogger shortens long slugs and may drop words, so the actual permalink is reported when it differs. `titleWarning`
+// is set when the post's title could not be put back after publishing.
+function slugWarning(post, slug, titleWarning) {
+    const warnings = titleWarning ? [titleWarning] : [];
+    if (slug && post.url && !new URL(post.url).pathname.endsWith(`/${slug}.html`)) {
+        warnings.push(`Blogger did not use the slug "${slug}" as given; the permalink is ${post.url}`);
+    }
+    return warnings.length ? { warning: warnings.join('. ') } : {};
+}
+// Offset in milliseconds of `timeZone` from UTC at the given instant
+function timeZoneOffset(timestamp, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+// Resolve an ISO 8601 publish date to an RFC 3339 UTC timestamp. Dates with a Z or ±hh:mm offset are
+// taken as-is; wall-clock dates are interpreted in `timeZone` (IANA name), or the server's local time zone.
+function resolvePublishDate(value, timeZone = DEFAULT_TIMEZONE) {
+    if (value === undefined || value === null || value === '')
+        return undefined;
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i.exec(value.trim());
+    if (!match) {
+        throw new McpError(ErrorCode.InvalidParams, 'publishDate must be an ISO 8601 date-time, e.g. 2024-06-01T09:00:00+02:00 or 2024-06-01T09:00');
+    }
+    const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+    const calendarDay = new Date(Date.UTC(year, month - 1, day));
+    if (calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== Number(day) || Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) {
+        throw new McpError(ErrorCode.InvalidParams, `publishDate "${value}" is not a valid date`);
+    }
+    let timestamp;
+    if (offset) {
+        timestamp = new Date(value.trim()).getTime();
+    }
+    else if (timeZone) {
+        try {
+            // Guess with the offset at the wall-clock time, then correct once in case that guess crossed a DST change
+            const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+            timestamp = wallClock - timeZoneOffset(wallClock, timeZone);
+            timestamp = wallClock - timeZoneOffset(timestamp, timeZone);
+        }
+        catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown time zone "${timeZone}". Use an IANA name such as Europe/Berlin`);
+        }
+    }
+    else {
+        timestamp = new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+    if (Number.isNaN(timestamp)) {
+        throw new McpError(ErrorCode.InvalidParams, `publishDate "${value}" is not a valid date`);
+    }
+    return new Date(timestamp).toISOString();
+}
+// Validate and normalize the list_posts filter arguments into a posts.list query
+function parsePostQuery(args) {
+    const query = {
+        maxResults: args.maxResults || 10,
+        pageToken: args.pageToken,
+        all: args.all === true,
+        fetchBodies: args.fetchBodies === true,
+        noCache: args.noCache === true,
+    };
+    if (args.labels !== undefined) {
+        const labels = Array.isArray(args.labels) ? args.labels : [args.labels];
+        if (labels.some(label => typeof label !== 'string' || !label.trim())) {
+            throw new McpError(ErrorCode.InvalidParams, 'labels must be a list of non-empty strings');
+        }
+        if (labels.length)
+            query.labels = labels.map(label => label.trim());
+    }
+    query.startDate = parseDateArg(args.startDate, 'startDate');
+    query.endDate = parseDateArg(args.endDate, 'endDate');
+    if (query.startDate && query.endDate && query.startDate > query.endDate) {
+        throw new McpError(ErrorCode.InvalidParams, 'startDate must not be after endDate');
+    }
+    if (args.orderBy !== undefined) {
+        if (!POST_ORDER_BY.includes(args.orderBy)) {
+            throw new McpError(ErrorCode.InvalidParams, `orderBy must be one of: ${POST_ORDER_BY.join(', ')}`);
+        }
+        query.orderBy = args.orderBy;
+    }
+    if (args.status !== undefined) {
+        const status = (Array.isArray(args.status) ? args.status : [args.status]).map(s => String(s).toLowerCase());
+        const invalid = status.filter(s => !POST_STATUSES.includes(s));
+        if (invalid.length || !status.length) {
+            throw new McpError(ErrorCode.InvalidParams, `status must be one or more of: ${POST_STATUSES.join(', ')}`);
+        }
+        query.status = [...new Set(status)];
+    }
+    if (args.view !== undefined) {
+        const view = String(args.view).toUpperCase();
+        if (!POST_VIEWS.includes(view)) {
+            throw new McpError(ErrorCode.InvalidParams, `view must be one of: ${POST_VIEWS.join(', ')}`);
+        }
+        query.view = view;
+    }
+    return query;
+}
+// Read a content_file. Some errors (EISDIR) don't carry the path, so it is added for the error hint.
+function readContentFile(file) {
+    try {
+        return readFileSync(file, 'utf8');
+    }
+    catch (error) {
+        error.path ??= file;
+        throw error;
+    }
+}
+// Read content/content_file, converting Markdown (format: "markdown" or a .md file) to HTML.
+// Returns the tool arguments with front matter merged in underneath the explicit ones.
+function loadContentArgs(args) {
+    const source = args.content_file ? readContentFile(args.content_file) : args.content;
+    const format = args.format || (args.content_file && isMarkdownFile(args.content_file) ? 'markdown' : 'html');
+    if (!CONTENT_FORMATS.includes(format)) {
+        throw new McpError(ErrorCode.InvalidParams, `format must be one of: ${CONTENT_FORMATS.join(', ')}`);
+    }
+    if (source === undefined || format !== 'markdown') {
+        return { ...args, content: source };
+    }
+    let frontMatter;
+    let frontMatterArgs;
+    try {
+        frontMatter = parseFrontMatter(source);
+        frontMatterArgs = frontMatterToPostArgs(frontMatter.data);
+    }
+    catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    return { ...frontMatterArgs, ...args, content: renderMarkdown(frontMatter.body) };
+}
+// Fetch one page, or with `all` keep following nextPageToken until exhausted or the page cap is hit.
+// A non-null nextPageToken in the result means more items remain.
+async function fetchPages(fetchPage, pageToken, all, maxPages = FETCH_ALL_MAX_PAGES) {
+    const items = [];
+    let nextPageToken = pageToken || undefined;
+    let pages = 0;
+    do {
+        const response = await fetchPage(nextPageToken);
+        items.push(...(response.data.items || []));
+        nextPageToken = response.data.nextPageToken || undefined;
+        pages++;
+    } while (all && nextPageToken && pages < maxPages);
+    return { items, nextPageToken: nextPageToken || null };
+}
+// Run `fn` over `items` with at most `limit` calls in flight; results keep the order of `items`
+async function mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+// Why `action` would leave a bulk target unchanged, or undefined if it would change it
+function bulkSkipReason(action, labels, target) {
+    switch (action) {
+        case 'publish':
+            return target.status === 'LIVE' ? 'already published' : undefined;
+        case 'revert':
+            return target.status === 'DRAFT' ? 'already a draft' : undefined;
+        case 'add_labels':
+            return labels.every(label => target.labels.includes(label)) ? 'already has these labels' : undefined;
+        case 'remove_labels':
+            return labels.some(label => target.labels.includes(label)) ? undefined : 'has none of these labels';
+        default:
+            return undefined;
+    }
+}
+// Ties a destructive bulk run to its dry run: the token only matches while the same posts would change
+function bulkConfirmToken(blogId, action, labels, postIds) {
+    return createHash('sha256').update(JSON.stringify([blogId, action, labels || [], [...postIds].sort()])).digest('hex').slice(0, 16);
+}
+// File body for one exported post or page. Markdown front matter uses the same keys create_post reads back.
+function serializeExportItem(item, format) {
+    if (format === 'json')
+        return JSON.stringify(item, null, 2);
+    if (format === 'html')
+        return item.content || '';
+    const status = item.status || 'LIVE';
+    const frontMatter = {
+        title: item.title,
+        labels: item.labels,
+        isDraft: status === 'DRAFT',
+        publishDate: status === 'DRAFT' ? undefined : item.published,
+        id: item.id,
+        status,
+        updated: item.updated,
+        url: item.url,
+    };
+    return stringifyFrontMatter(Object.fromEntries(Object.entries(frontMatter).filter(([, value]) => value !== undefined && value !== null)), htmlToMarkdown(item.content));
+}
+// JSON-RPC error code the MCP spec reserves for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+const RESOURCE_TYPES = { posts: 'post', pages: 'page' };
+// blogger://{blogId}, blogger://{blogId}/posts/{postId} or blogger://{blogId}/pages/{pageId}
+function resourceUri(blogId, type, id) {
+    return type ? `blogger://${blogId}/${type}/${id}` : `blogger://${blogId}`;
+}
+function parseResourceUri(uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    }
+    catch {
+        url = null;
+    }
+    const parts = url ? url.pathname.split('/').filter(Boolean) : [];
+    const valid = url?.protocol === 'blogger:' && /^[\w-]+$/.test(url.host)
+        && (parts.length === 0 || (parts.length === 2 && RESOURCE_TYPES[parts[0]] && /^[\w-]+$/.test(parts[1])));
+    if (!valid) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}. Expected blogger://{blogId}, blogger://{blogId}/posts/{postId} or blogger://{blogId}/pages/{pageId}`);
+    }
+    const format = url.searchParams.get('format') || 'html';
+    if (!CONTENT_FORMATS.includes(format)) {
+        throw new McpError(ErrorCode.InvalidParams, `format must be one of: ${CONTENT_FORMATS.join(', ')}`);
+    }
+    return { blogId: url.host, type: parts[0], id: parts[1], format };
+}
+// resources/list cursors wrap the position in the blog list and the Blogger page token
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    }
+    catch {
+        throw new McpError(ErrorCode.InvalidParams, 'Invalid cursor');
+    }
+}
+function isNotFound(error) {
+    const status = error?.response?.status ?? error?.status ?? error?.code;
+    return Number(status) === 404;
+}
+function normalizeTitle(title) {
+    return String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
 }
 function jsonResponse(data) {
     return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
 }
+// The data behind a jsonResponse, for reusing tool implementations (e.g. in prompts)
+function responseData(response) {
+    return JSON.parse(response.content[0].text);
+}
 class BloggerMCPServer {
     server;
+    subscriptions = new Set();
+    // Blogger API calls made by this session, for get_usage
+    usage = new ApiUsage();
     constructor() {
         this.server = new Server({
             name: 'blogger-mcp-server',
@@ -40,31 +455,36 @@ class BloggerMCPServer {
         }, {
             capabilities: {
                 tools: {},
+                resources: { subscribe: true, listChanged: true },
+                prompts: {},
             },
         });
         this.setupToolHandlers();
+        this.setupResourceHandlers();
+        this.setupPromptHandlers();
         // Error handling
         this.server.onerror = (error) => console.error('[MCP Error]', error);
-        process.on('SIGINT', async () => {
-            await this.server.close();
-            process.exit(0);
-        });
     }
     async getAuthClient(requireWrite = false) {
         if (requireWrite && oauthHandler) {
-            // Use OAuth for write operations
-            return await oauthHandler.getAuthenticatedClient();
+            // Use OAuth for write operations, with the tokens of the current profile
+            return await profileOAuth().getAuthenticatedClient();
         }
         else if (API_KEY) {
             // Use API key for read operations
             return API_KEY;
         }
         else {
-            throw new Error('No authentication method available');
+            throw new ToolError('not_configured', 'No authentication method available. Set BLOGGER_API_KEY for reading public data, or GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET for OAuth.');
         }
     }
+    // Who a cached read was made as: drafts and the ADMIN view differ between the API key and each profile
+    cacheIdentity(auth) {
+        return typeof auth === 'string' ? 'api-key' : profileOAuth().profile;
+    }
+    // Every call goes through the shared rate limiter and retry layer, which replaces googleapis' own retries
     getBloggerClient(auth) {
-        return google.blogger({ version: 'v3', auth });
+        return withRetries(google.blogger({ version: 'v3', auth, retry: false }), this.usage);
     }
     setupToolHandlers() {
         this.server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -73,6 +493,84 @@ class BloggerMCPServer {
                     {
                         name: 'list_blogs',
                         description: 'List all blogs for the authenticated user (OAuth required)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) whose blogs to list (default: the default profile)',
+                                },
+                            },
+                        },
+                    },
+                    {
+                        name: 'auth_status',
+                        description: 'Show the OAuth sign-in state: which Blogger account, granted scopes (full or read-only), token expiry and whether a refresh token is stored',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to check (default: the default profile)',
+                                },
+                            },
+                        },
+                    },
+                    {
+                        name: 'auth_login',
+                        description: 'Sign in with Google (opens a browser, or in headless mode returns the URL to open). Does nothing if already signed in with the requested access unless force is set',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to sign in (default: the default profile)',
+                                },
+                                readOnly: {
+                                    type: 'boolean',
+                                    description: 'Only request read access (blogger.readonly). Default: BLOGGER_READ_ONLY, else full access',
+                                },
+                                force: {
+                                    type: 'boolean',
+                                    description: 'Sign in again even if valid tokens are stored, e.g. to switch accounts (default: false)',
+                                },
+                            },
+                        },
+                    },
+                    {
+                        name: 'auth_logout',
+                        description: 'Revoke the OAuth grant at Google and delete the stored tokens',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to sign out (default: the default profile)',
+                                },
+                            },
+                        },
+                    },
+                    {
+                        name: 'auth_complete',
+                        description: 'Finish an OAuth sign-in in headless mode (OAUTH_HEADLESS): pass the URL the browser was redirected to after approving access, or just the authorization code',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                response: {
+                                    type: 'string',
+                                    description: 'Full redirect URL from the browser\'s address bar (http://localhost:.../oauth/callback?code=...&state=...) or the bare code',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) being signed in (default: the default profile)',
+                                },
+                            },
+                            required: ['response'],
+                        },
+                    },
+                    {
+                        name: 'get_usage',
+                        description: 'Show the Blogger API calls made in this session: requests (retries included), retries, rate-limit responses, time spent throttled or backing off, quota used against the daily limit, and read cache hits',
                         inputSchema: {
                             type: 'object',
                             properties: {},
@@ -88,44 +586,155 @@ class BloggerMCPServer {
                                     type: 'string',
                                     description: 'Blog URL (e.g., myblog.blogspot.com) or Blog ID',
                                 },
+                                noCache: {
+                                    type: 'boolean',
+                                    description: 'Skip the read cache and fetch fresh data from Blogger (default: false)',
+                                    default: false,
+                                },
                             },
                             required: ['blogUrl'],
                         },
                     },
                     {
                         name: 'list_posts',
-                        description: 'List posts from a blog',
+                        description: 'List posts from a blog, optionally filtered by labels, publish date range and status',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
                                 },
                                 maxResults: {
                                     type: 'number',
                                     description: 'Maximum number of posts to return (default: 10)',
                                     default: 10,
                                 },
+                                pageToken: {
+                                    type: 'string',
+                                    description: 'Page token from a previous call\'s nextPageToken to fetch the next page',
+                                },
+                                all: {
+                                    type: 'boolean',
+                                    description: `Fetch every page (up to ${FETCH_ALL_PAGE_SIZE * FETCH_ALL_MAX_PAGES} items); maxResults is ignored`,
+                                    default: false,
+                                },
+                                labels: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Only return posts with at least one of these labels',
+                                },
+                                startDate: {
+                                    type: 'string',
+                                    description: 'Only return posts published on or after this ISO 8601 date/date-time',
+                                },
+                                endDate: {
+                                    type: 'string',
+                                    description: 'Only return posts published before this ISO 8601 date/date-time',
+                                },
+                                orderBy: {
+                                    type: 'string',
+                                    enum: POST_ORDER_BY,
+                                    description: 'Sort order, newest first (default: published)',
+                                },
+                                status: {
+                                    type: 'array',
+                                    items: { type: 'string', enum: POST_STATUSES },
+                                    description: 'Post statuses to include (default: live). draft and scheduled require OAuth',
+                                },
+                                fetchBodies: {
+                                    type: 'boolean',
+                                    description: 'Include the post content in the results (default: false)',
+                                    default: false,
+                                },
+                                view: {
+                                    type: 'string',
+                                    enum: POST_VIEWS,
+                                    description: 'Access level of the returned data (default: READER). AUTHOR and ADMIN require OAuth',
+                                },
+                                noCache: {
+                                    type: 'boolean',
+                                    description: 'Skip the read cache and fetch fresh data from Blogger (default: false)',
+                                    default: false,
+                                },
                             },
                             required: [],
                         },
                     },
                     {
                         name: 'list_drafts',
-                        description: 'List draft posts from a blog',
+                        description: 'List draft posts from a blog (alias for list_posts with status: ["draft"])',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
                                 },
                                 maxResults: {
                                     type: 'number',
                                     description: 'Maximum number of drafts to return (default: 10)',
                                     default: 10,
                                 },
+                                pageToken: {
+                                    type: 'string',
+                                    description: 'Page token from a previous call\'s nextPageToken to fetch the next page',
+                                },
+                                all: {
+                                    type: 'boolean',
+                                    description: `Fetch every page (up to ${FETCH_ALL_PAGE_SIZE * FETCH_ALL_MAX_PAGES} items); maxResults is ignored`,
+                                    default: false,
+                                },
+                                noCache: {
+                                    type: 'boolean',
+                                    description: 'Skip the read cache and fetch fresh data from Blogger (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'list_scheduled',
+                        description: 'List posts scheduled for future publication (alias for list_posts with status: ["scheduled"])',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                maxResults: {
+                                    type: 'number',
+                                    description: 'Maximum number of scheduled posts to return (default: 10)',
+                                    default: 10,
+                                },
+                                pageToken: {
+                                    type: 'string',
+                                    description: 'Page token from a previous call\'s nextPageToken to fetch the next page',
+                                },
+                                all: {
+                                    type: 'boolean',
+                                    description: `Fetch every page (up to ${FETCH_ALL_PAGE_SIZE * FETCH_ALL_MAX_PAGES} items); maxResults is ignored`,
+                                    default: false,
+                                },
+                                noCache: {
+                                    type: 'boolean',
+                                    description: 'Skip the read cache and fetch fresh data from Blogger (default: false)',
+                                    default: false,
+                                },
                             },
                             required: [],
                         },
@@ -138,12 +747,21 @@ class BloggerMCPServer {
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
                                 },
                                 postId: {
                                     type: 'string',
                                     description: 'Post ID',
                                 },
+                                noCache: {
+                                    type: 'boolean',
+                                    description: 'Skip the read cache and fetch fresh data from Blogger (default: false)',
+                                    default: false,
+                                },
                             },
                             required: ['postId'],
                         },
@@ -156,25 +774,46 @@ class BloggerMCPServer {
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
                                 },
                                 query: {
                                     type: 'string',
                                     description: 'Search query',
                                 },
+                                pageToken: {
+                                    type: 'string',
+                                    description: 'Page token from a previous call\'s nextPageToken to fetch the next page',
+                                },
+                                all: {
+                                    type: 'boolean',
+                                    description: `Fetch every page of results (up to ${FETCH_ALL_MAX_PAGES} pages)`,
+                                    default: false,
+                                },
                             },
                             required: ['query'],
                         },
                     },
                     {
-                        name: 'create_post',
-                        description: 'Create a new blog post',
+                        name: 'lint_post',
+                        description: `Check a post before publishing: malformed or unclosed HTML, <script>/<iframe> tags and inline event handlers, images without alt text, empty or long (over ${MAX_TITLE_LENGTH} characters) titles, missing labels, links to posts that no longer exist and leftover placeholder text. Pass postId to check a saved post, and/or title, content and labels to check a post before creating or updating it`,
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'Post to check. title, content and labels, if given, replace the saved ones, to check an update before making it',
                                 },
                                 title: {
                                     type: 'string',
@@ -182,70 +821,195 @@ class BloggerMCPServer {
                                 },
                                 content: {
                                     type: 'string',
-                                    description: 'Post content (HTML allowed). For content larger than 10KB, use content_file instead to avoid parameter size limits.',
+                                    description: 'Post content (HTML)',
                                 },
                                 content_file: {
                                     type: 'string',
-                                    description: 'Path to a file containing post content (HTML). Recommended for large posts. Takes precedence over content if both are provided.',
+                                    description: 'Path to a file containing post content (HTML or Markdown). Takes precedence over content if both are provided.',
+                                },
+                                format: {
+                                    type: 'string',
+                                    enum: CONTENT_FORMATS,
+                                    description: 'Content format. "markdown" is converted to HTML first and may start with YAML front matter (title, labels). Default: markdown for .md/.markdown files, otherwise html',
                                 },
                                 labels: {
                                     type: 'array',
                                     items: { type: 'string' },
-                                    description: 'Post labels/tags (optional)',
-                                },
-                                isDraft: {
-                                    type: 'boolean',
-                                    description: 'Whether to create as draft (default: true)',
-                                    default: true,
+                                    description: 'Post labels',
                                 },
                             },
-                            required: ['title'],
+                            required: [],
                         },
                     },
                     {
-                        name: 'update_post',
-                        description: 'Update an existing blog post',
+                        name: 'create_post',
+                        description: 'Create a new blog post',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
                                 },
-                                postId: {
+                                profile: {
                                     type: 'string',
-                                    description: 'Post ID',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
                                 },
                                 title: {
                                     type: 'string',
-                                    description: 'New post title (optional)',
+                                    description: 'Post title (optional if given in Markdown front matter)',
                                 },
                                 content: {
                                     type: 'string',
-                                    description: 'New post content (HTML allowed, optional). For content larger than 10KB, use content_file instead to avoid parameter size limits.',
+                                    description: 'Post content (HTML allowed). For content larger than 10KB, use content_file instead to avoid parameter size limits.',
                                 },
                                 content_file: {
                                     type: 'string',
-                                    description: 'Path to a file containing new post content (HTML). Recommended for large posts. Takes precedence over content if both are provided.',
+                                    description: 'Path to a file containing post content (HTML or Markdown). Recommended for large posts. Takes precedence over content if both are provided.',
+                                },
+                                format: {
+                                    type: 'string',
+                                    enum: CONTENT_FORMATS,
+                                    description: 'Content format. "markdown" is converted to HTML and may start with YAML front matter (title, labels, isDraft, slug, location, customMetaData, readerComments). Default: markdown for .md/.markdown files, otherwise html',
                                 },
                                 labels: {
                                     type: 'array',
                                     items: { type: 'string' },
-                                    description: 'New post labels/tags (optional)',
+                                    description: 'Post labels/tags (optional)',
+                                },
+                                isDraft: {
+                                    type: 'boolean',
+                                    description: 'Whether to create as draft (default: true). Set to false, optionally with publishDate, to publish',
+                                    default: true,
+                                },
+                                publishDate: {
+                                    type: 'string',
+                                    description: 'Schedule the post for this ISO 8601 date-time instead of publishing immediately. Without a Z or ±hh:mm offset it is read in timeZone',
+                                },
+                                timeZone: {
+                                    type: 'string',
+                                    description: 'IANA time zone (e.g. Europe/Berlin) for a publishDate without an offset (default: BLOGGER_TIMEZONE, or the server\'s local time zone)',
+                                },
+                                location: {
+                                    type: ['object', 'null'],
+                                    description: 'Where the post is about or was written: { name, lat, lng, span }. lat and lng are degrees; span is the map viewport as "<latitude span>,<longitude span>"',
+                                    properties: {
+                                        name: { type: 'string' },
+                                        lat: { type: 'number' },
+                                        lng: { type: 'number' },
+                                        span: { type: 'string' },
+                                    },
+                                },
+                                customMetaData: {
+                                    type: ['string', 'object', 'null'],
+                                    description: 'Custom metadata stored with the post (objects are stored as JSON)',
+                                },
+                                readerComments: {
+                                    type: 'string',
+                                    enum: Object.keys(READER_COMMENTS),
+                                    description: 'Reader comments: "allow", "disallow" new comments but show existing ones, or "hide" existing ones too (default: the blog\'s setting)',
+                                },
+                                slug: {
+                                    type: 'string',
+                                    description: 'Permalink slug, e.g. "my-first-post" for /2026/10/my-first-post.html. Only with isDraft: false and no future publishDate, since Blogger fixes the permalink when a post first goes live',
+                                },
+                                lint: {
+                                    type: 'boolean',
+                                    description: 'Run lint_post first. When publishing or scheduling, lint errors stop the post from being created; for drafts the findings are returned with the new post (default: false)',
+                                    default: false,
                                 },
                             },
-                            required: ['postId'],
+                            required: [],
                         },
                     },
                     {
-                        name: 'change_post_status',
-                        description: 'Publish a draft post or revert a published post to draft',
+                        name: 'update_post',
+                        description: 'Update an existing blog post',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'Post ID',
+                                },
+                                title: {
+                                    type: 'string',
+                                    description: 'New post title (optional)',
+                                },
+                                content: {
+                                    type: 'string',
+                                    description: 'New post content (HTML allowed, optional). For content larger than 10KB, use content_file instead to avoid parameter size limits.',
+                                },
+                                content_file: {
+                                    type: 'string',
+                                    description: 'Path to a file containing new post content (HTML or Markdown). Recommended for large posts. Takes precedence over content if both are provided.',
+                                },
+                                format: {
+                                    type: 'string',
+                                    enum: CONTENT_FORMATS,
+                                    description: 'Content format. "markdown" is converted to HTML and may start with YAML front matter (title, labels, isDraft, slug, location, customMetaData, readerComments). Default: markdown for .md/.markdown files, otherwise html',
+                                },
+                                labels: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'New post labels/tags (optional)',
+                                },
+                                location: {
+                                    type: ['object', 'null'],
+                                    description: 'Where the post is about or was written: { name, lat, lng, span }. lat and lng are degrees; span is the map viewport as "<latitude span>,<longitude span>". null removes it',
+                                    properties: {
+                                        name: { type: 'string' },
+                                        lat: { type: 'number' },
+                                        lng: { type: 'number' },
+                                        span: { type: 'string' },
+                                    },
+                                },
+                                customMetaData: {
+                                    type: ['string', 'object', 'null'],
+                                    description: 'Custom metadata stored with the post (objects are stored as JSON). null removes it',
+                                },
+                                readerComments: {
+                                    type: 'string',
+                                    enum: Object.keys(READER_COMMENTS),
+                                    description: 'Reader comments: "allow", "disallow" new comments but show existing ones, or "hide" existing ones too',
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Return a diff of the title, labels, settings and content that would change, without updating the post (default: false)',
+                                },
+                                expectedUpdated: {
+                                    type: 'string',
+                                    description: 'The post\'s "updated" timestamp when it was read (from get_post). The update fails with a conflict if the post has changed since',
+                                },
+                                etag: {
+                                    type: 'string',
+                                    description: 'The post\'s etag when it was read (from get_post). The update fails with a conflict if the post has changed since',
+                                },
+                            },
+                            required: ['postId'],
+                        },
+                    },
+                    {
+                        name: 'change_post_status',
+                        description: 'Publish or schedule a draft post, or revert a published or scheduled post to draft (which cancels the schedule)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
                                 },
                                 postId: {
                                     type: 'string',
@@ -254,7 +1018,24 @@ class BloggerMCPServer {
                                 action: {
                                     type: 'string',
                                     enum: ['publish', 'revert'],
-                                    description: 'Action to perform: "publish" to publish a draft, "revert" to revert a published post to draft',
+                                    description: 'Action to perform: "publish" to publish a draft (optionally scheduled with publishDate), "revert" to revert a published or scheduled post to draft',
+                                },
+                                publishDate: {
+                                    type: 'string',
+                                    description: 'Schedule the post for this ISO 8601 date-time instead of publishing immediately. Without a Z or ±hh:mm offset it is read in timeZone',
+                                },
+                                timeZone: {
+                                    type: 'string',
+                                    description: 'IANA time zone (e.g. Europe/Berlin) for a publishDate without an offset (default: BLOGGER_TIMEZONE, or the server\'s local time zone)',
+                                },
+                                slug: {
+                                    type: 'string',
+                                    description: 'Permalink slug, e.g. "my-first-post" for /2026/10/my-first-post.html (action "publish" on a post that was never published, without a future publishDate)',
+                                },
+                                lint: {
+                                    type: 'boolean',
+                                    description: 'Run lint_post on the post first and don\'t publish it if there are errors (action "publish" only, default: false)',
+                                    default: false,
                                 },
                             },
                             required: ['postId', 'action'],
@@ -268,7 +1049,11 @@ class BloggerMCPServer {
                             properties: {
                                 blogId: {
                                     type: 'string',
-                                    description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
                                 },
                                 postId: {
                                     type: 'string',
@@ -278,276 +1063,1960 @@ class BloggerMCPServer {
                             required: ['postId'],
                         },
                     },
-                ],
-            };
-        });
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            const { name, arguments: args } = request.params;
-            if (!args) {
-                throw new McpError(ErrorCode.InvalidParams, 'Arguments are required');
-            }
-            try {
-                switch (name) {
-                    case 'list_blogs':
-                        return await this.listBlogs();
-                    case 'get_blog_info':
-                        return await this.getBlogInfo(args.blogUrl);
-                    case 'list_posts':
-                        return await this.listPosts(resolveBlogId(args), args.maxResults || 10);
-                    case 'list_drafts':
-                        return await this.listDrafts(resolveBlogId(args), args.maxResults || 10);
-                    case 'get_post':
-                        return await this.getPost(resolveBlogId(args), args.postId);
-                    case 'search_posts':
-                        return await this.searchPosts(resolveBlogId(args), args.query);
-                    case 'create_post': {
-                        let content = args.content_file ? readFileSync(args.content_file, 'utf8') : args.content;
-                        if (!content) throw new McpError(ErrorCode.InvalidParams, 'Either content or content_file is required');
-                        return await this.createPost(resolveBlogId(args), args.title, content, args.labels || [], args.isDraft !== false);
-                    }
-                    case 'update_post': {
-                        let updateContent = args.content_file ? readFileSync(args.content_file, 'utf8') : args.content;
-                        return await this.updatePost(resolveBlogId(args), args.postId, args.title, updateContent, args.labels);
-                    }
-                    case 'change_post_status':
-                        return await this.changePostStatus(resolveBlogId(args), args.postId, args.action);
-                    case 'delete_post':
-                        return await this.deletePost(resolveBlogId(args), args.postId);
-                    default:
-                        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-                }
-            }
-            catch (error) {
-                const errorMessage = error instanceof Error ? error.message : String(error);
-                throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${errorMessage}`);
+                    {
+                        name: 'bulk_update_posts',
+                        description: 'Publish, revert, delete, add labels to or remove labels from many posts at once, chosen by ID or by a list_posts-style filter. Revert and delete need a dry run first: call with dryRun: true, check the summary, then repeat with the returned confirmToken',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                action: {
+                                    type: 'string',
+                                    enum: BULK_ACTIONS,
+                                    description: 'What to do with each post',
+                                },
+                                postIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: `IDs of the posts to change (at most ${MAX_BULK_POSTS}). Either postIds or filter is required`,
+                                },
+                                filter: {
+                                    type: 'object',
+                                    description: 'Select the posts like list_posts does: labels, startDate, endDate and status (default: live)',
+                                    properties: {
+                                        labels: { type: 'array', items: { type: 'string' } },
+                                        startDate: { type: 'string' },
+                                        endDate: { type: 'string' },
+                                        status: { type: 'array', items: { type: 'string', enum: POST_STATUSES } },
+                                    },
+                                },
+                                labels: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Labels to add or remove (for add_labels and remove_labels)',
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only report which posts would change, without changing them (default: false)',
+                                    default: false,
+                                },
+                                confirmToken: {
+                                    type: 'string',
+                                    description: 'Token from the dry run; required for revert and delete',
+                                },
+                                concurrency: {
+                                    type: 'number',
+                                    description: `Posts processed at the same time (default: ${DEFAULT_BULK_CONCURRENCY}, at most ${MAX_BULK_CONCURRENCY})`,
+                                    default: DEFAULT_BULK_CONCURRENCY,
+                                },
+                            },
+                            required: ['action'],
+                        },
+                    },
+                    {
+                        name: 'list_labels',
+                        description: 'List every label used on the blog with its number of posts and when it was last used, plus groups of labels that look like duplicates (e.g. "JavaScript" and "javascript")',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                status: {
+                                    type: 'array',
+                                    items: { type: 'string', enum: POST_STATUSES },
+                                    description: 'Post statuses to count (default: all of them with OAuth, else live)',
+                                },
+                                noCache: {
+                                    type: 'boolean',
+                                    description: 'Skip the read cache and fetch fresh data from Blogger (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'rename_label',
+                        description: 'Rename a label on every post that has it, drafts and scheduled posts included. Each post is snapshotted first',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                from: {
+                                    type: 'string',
+                                    description: 'Current label (exact, case-sensitive)',
+                                },
+                                to: {
+                                    type: 'string',
+                                    description: 'New label',
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only list the posts that would change and their new labels (default: false)',
+                                    default: false,
+                                },
+                                concurrency: {
+                                    type: 'number',
+                                    description: `Posts updated at the same time (default: ${DEFAULT_BULK_CONCURRENCY}, at most ${MAX_BULK_CONCURRENCY})`,
+                                    default: DEFAULT_BULK_CONCURRENCY,
+                                },
+                            },
+                            required: ['from', 'to'],
+                        },
+                    },
+                    {
+                        name: 'merge_labels',
+                        description: 'Replace several labels with one on every post that has any of them, e.g. merge "JS" and "javascript" into "JavaScript". Each post is snapshotted first',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                sources: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Labels to merge away (exact, case-sensitive). May include the target',
+                                },
+                                target: {
+                                    type: 'string',
+                                    description: 'Label the posts get instead',
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only list the posts that would change and their new labels (default: false)',
+                                    default: false,
+                                },
+                                concurrency: {
+                                    type: 'number',
+                                    description: `Posts updated at the same time (default: ${DEFAULT_BULK_CONCURRENCY}, at most ${MAX_BULK_CONCURRENCY})`,
+                                    default: DEFAULT_BULK_CONCURRENCY,
+                                },
+                            },
+                            required: ['sources', 'target'],
+                        },
+                    },
+                    {
+                        name: 'list_revisions',
+                        description: 'List the local snapshots taken before each update, status change or delete of a post. Without postId, list every post that has history, including deleted ones',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'Post ID (optional)',
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'diff_revision',
+                        description: 'Show how a post\'s title, labels and content changed between a saved revision and the current post (or another revision)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'Post ID (deleted posts keep their history under their old ID)',
+                                },
+                                revisionId: {
+                                    type: 'string',
+                                    description: 'Revision ID from list_revisions',
+                                },
+                                against: {
+                                    type: 'string',
+                                    description: 'Revision ID to compare with instead of the current post',
+                                },
+                            },
+                            required: ['postId', 'revisionId'],
+                        },
+                    },
+                    {
+                        name: 'restore_revision',
+                        description: 'Restore a post\'s title, labels, content and status from a saved revision. A deleted post is recreated (with a new ID)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'Post ID (deleted posts keep their history under their old ID)',
+                                },
+                                revisionId: {
+                                    type: 'string',
+                                    description: 'Revision ID from list_revisions',
+                                },
+                            },
+                            required: ['postId', 'revisionId'],
+                        },
+                    },
+                    {
+                        name: 'list_pages',
+                        description: 'List static pages (About, Contact, ...) from a blog',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                status: {
+                                    type: 'array',
+                                    items: { type: 'string', enum: PAGE_STATUSES },
+                                    description: 'Page statuses to include (default: live). draft requires OAuth',
+                                },
+                                fetchBodies: {
+                                    type: 'boolean',
+                                    description: 'Include the page content in the results (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'get_page',
+                        description: 'Get a specific static page by ID',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                pageId: {
+                                    type: 'string',
+                                    description: 'Page ID',
+                                },
+                            },
+                            required: ['pageId'],
+                        },
+                    },
+                    {
+                        name: 'create_page',
+                        description: 'Create a new static page',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                title: {
+                                    type: 'string',
+                                    description: 'Page title',
+                                },
+                                content: {
+                                    type: 'string',
+                                    description: 'Page content (HTML allowed). For content larger than 10KB, use content_file instead to avoid parameter size limits.',
+                                },
+                                content_file: {
+                                    type: 'string',
+                                    description: 'Path to a file containing page content (HTML). Recommended for large pages. Takes precedence over content if both are provided.',
+                                },
+                                isDraft: {
+                                    type: 'boolean',
+                                    description: 'Whether to create as draft (default: true)',
+                                    default: true,
+                                },
+                            },
+                            required: ['title'],
+                        },
+                    },
+                    {
+                        name: 'update_page',
+                        description: 'Update an existing static page',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                pageId: {
+                                    type: 'string',
+                                    description: 'Page ID',
+                                },
+                                title: {
+                                    type: 'string',
+                                    description: 'New page title (optional)',
+                                },
+                                content: {
+                                    type: 'string',
+                                    description: 'New page content (HTML allowed, optional). For content larger than 10KB, use content_file instead to avoid parameter size limits.',
+                                },
+                                content_file: {
+                                    type: 'string',
+                                    description: 'Path to a file containing new page content (HTML). Recommended for large pages. Takes precedence over content if both are provided.',
+                                },
+                            },
+                            required: ['pageId'],
+                        },
+                    },
+                    {
+                        name: 'change_page_status',
+                        description: 'Publish a draft page or revert a published page to draft',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                pageId: {
+                                    type: 'string',
+                                    description: 'Page ID',
+                                },
+                                action: {
+                                    type: 'string',
+                                    enum: ['publish', 'revert'],
+                                    description: 'Action to perform: "publish" to publish a draft, "revert" to revert a published page to draft',
+                                },
+                            },
+                            required: ['pageId', 'action'],
+                        },
+                    },
+                    {
+                        name: 'delete_page',
+                        description: 'Delete a static page',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                pageId: {
+                                    type: 'string',
+                                    description: 'Page ID',
+                                },
+                            },
+                            required: ['pageId'],
+                        },
+                    },
+                    {
+                        name: 'list_comments',
+                        description: 'List comments for a post, or across the whole blog when postId is omitted',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'Post ID (optional; omit to list comments across the whole blog)',
+                                },
+                                status: {
+                                    type: 'array',
+                                    items: { type: 'string', enum: COMMENT_STATUSES },
+                                    description: 'Comment statuses to include (default: live). pending, spam and emptied require OAuth',
+                                },
+                                maxResults: {
+                                    type: 'number',
+                                    description: 'Maximum number of comments to return (default: 20)',
+                                    default: 20,
+                                },
+                                pageToken: {
+                                    type: 'string',
+                                    description: 'Page token from a previous call\'s nextPageToken to fetch the next page',
+                                },
+                                all: {
+                                    type: 'boolean',
+                                    description: `Fetch every page (up to ${FETCH_ALL_PAGE_SIZE * FETCH_ALL_MAX_PAGES} items); maxResults is ignored`,
+                                    default: false,
+                                },
+                            },
+                            required: [],
+                        },
+                    },
+                    {
+                        name: 'moderate_comment',
+                        description: 'Approve a pending comment, mark a comment as spam, or remove its content',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'ID of the post the comment belongs to',
+                                },
+                                commentId: {
+                                    type: 'string',
+                                    description: 'Comment ID',
+                                },
+                                action: {
+                                    type: 'string',
+                                    enum: COMMENT_ACTIONS,
+                                    description: 'Action to perform: "approve" to publish a pending comment, "spam" to mark it as spam, "remove_content" to blank its content while keeping the thread',
+                                },
+                            },
+                            required: ['postId', 'commentId', 'action'],
+                        },
+                    },
+                    {
+                        name: 'delete_comment',
+                        description: 'Delete a comment',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                postId: {
+                                    type: 'string',
+                                    description: 'ID of the post the comment belongs to',
+                                },
+                                commentId: {
+                                    type: 'string',
+                                    description: 'Comment ID',
+                                },
+                            },
+                            required: ['postId', 'commentId'],
+                        },
+                    },
+                    {
+                        name: 'export_blog',
+                        description: 'Back up all posts, drafts, pages and optionally comments to a local directory. Re-running into the same directory only rewrites items that changed',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                outputDir: {
+                                    type: 'string',
+                                    description: 'Local directory to write the export to (created if missing)',
+                                },
+                                format: {
+                                    type: 'string',
+                                    enum: EXPORT_FORMATS,
+                                    description: 'File format for each post and page: "json" (full API resource), "html" (content only) or "markdown" (content with YAML front matter). Default: json',
+                                    default: 'json',
+                                },
+                                includeComments: {
+                                    type: 'boolean',
+                                    description: 'Also export comments, one JSON file per post (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: ['outputDir'],
+                        },
+                    },
+                    {
+                        name: 'import_posts',
+                        description: 'Import posts from a local Atom feed (e.g. a Blogger export), WordPress WXR file, or directory of HTML/Markdown/JSON post files. Runs as a dry-run preview unless dryRun is false',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                source: {
+                                    type: 'string',
+                                    description: 'Path to an Atom/WXR file or a directory of post files (an export_blog backup works too)',
+                                },
+                                format: {
+                                    type: 'string',
+                                    enum: IMPORT_FORMATS,
+                                    description: 'Source format (default: detected from the file contents)',
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only report what would be imported (default: true). Set to false to create the posts',
+                                    default: true,
+                                },
+                                dedupeBy: {
+                                    type: 'string',
+                                    enum: IMPORT_DEDUPE_MODES,
+                                    description: 'Skip items already on the blog: "sourceUrl" matches posts created by an earlier import of the same source URL (falling back to title for items without one), "title" matches any post with the same title, "none" imports everything. Default: sourceUrl',
+                                    default: 'sourceUrl',
+                                },
+                                forceDraft: {
+                                    type: 'boolean',
+                                    description: 'Import every item as a draft, ignoring its original status and date (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: ['source'],
+                        },
+                    },
+                    {
+                        name: 'sync_status',
+                        description: 'Compare a local folder of post files with the blog and report which side changed since the last sync, including conflicts',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                dir: {
+                                    type: 'string',
+                                    description: 'Local folder of post files (.md, .markdown, .html) kept in sync with the blog',
+                                },
+                            },
+                            required: ['dir'],
+                        },
+                    },
+                    {
+                        name: 'sync_pull',
+                        description: 'Write posts that changed on the blog (or are new there) into the local folder. Conflicts are reported and never overwritten unless forced',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                dir: {
+                                    type: 'string',
+                                    description: 'Local folder of post files (.md, .markdown, .html) kept in sync with the blog',
+                                },
+                                format: {
+                                    type: 'string',
+                                    enum: SYNC_FORMATS,
+                                    description: 'File format for posts pulled for the first time (default: markdown). Existing files keep their format',
+                                    default: 'markdown',
+                                },
+                                files: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Only sync these files (paths relative to dir) or post IDs (default: everything that changed)',
+                                },
+                                force: {
+                                    type: 'boolean',
+                                    description: 'Resolve conflicts among the listed files in favour of this side. Requires files (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: ['dir'],
+                        },
+                    },
+                    {
+                        name: 'sync_push',
+                        description: 'Update posts whose local files changed and create posts for new files (as drafts unless front matter says isDraft: false). Conflicts are reported and never overwritten unless forced',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                blogId: {
+                                    type: 'string',
+                                    description: 'Blog ID or alias from config.json (optional if DEFAULT_BLOG_ID is set)',
+                                },
+                                profile: {
+                                    type: 'string',
+                                    description: 'Profile (Google account) to authenticate as (default: the blog alias\'s profile, else the default profile)',
+                                },
+                                dir: {
+                                    type: 'string',
+                                    description: 'Local folder of post files (.md, .markdown, .html) kept in sync with the blog',
+                                },
+                                files: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Only sync these files (paths relative to dir) or post IDs (default: everything that changed)',
+                                },
+                                force: {
+                                    type: 'boolean',
+                                    description: 'Resolve conflicts among the listed files in favour of this side. Requires files (default: false)',
+                                    default: false,
+                                },
+                            },
+                            required: ['dir'],
+                        },
+                    },
+                ],
+            };
+        });
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => withProfile(undefined, async () => {
+            const { name, arguments: args } = request.params;
+            try {
+                if (!args) {
+                    throw new McpError(ErrorCode.InvalidParams, 'Arguments are required');
+                }
+                // Checked here rather than by withProfile, so an unknown profile is reported like any other bad argument
+                requestProfile.getStore().profile = checkProfile(args.profile);
+                switch (name) {
+                    case 'list_blogs':
+                        return await this.listBlogs();
+                    case 'auth_status':
+                        return await this.authStatus();
+                    case 'auth_login':
+                        return await this.authLogin(args.readOnly, args.force === true);
+                    case 'auth_logout':
+                        return await this.authLogout();
+                    case 'auth_complete':
+                        if (!args.response?.trim()) {
+                            throw new McpError(ErrorCode.InvalidParams, 'response is required: the redirect URL or authorization code');
+                        }
+                        return await this.completeAuth(args.response);
+                    case 'get_usage':
+                        return this.getUsage();
+                    case 'get_blog_info':
+                        return await this.getBlogInfo(args.blogUrl && findBlog(config, args.blogUrl) ? resolveBlogId({ blogId: args.blogUrl }) : args.blogUrl, args.noCache === true);
+                    case 'list_posts':
+                        return await this.listPosts(resolveBlogId(args), parsePostQuery(args));
+                    case 'list_drafts':
+                        return await this.listDrafts(resolveBlogId(args), parsePostQuery(args));
+                    case 'list_scheduled':
+                        return await this.listScheduled(resolveBlogId(args), parsePostQuery(args));
+                    case 'get_post':
+                        return await this.getPost(resolveBlogId(args), args.postId, args.noCache === true);
+                    case 'search_posts':
+                        return await this.searchPosts(resolveBlogId(args), args.query, args.pageToken, args.all === true);
+                    case 'lint_post': {
+                        const postArgs = loadContentArgs(args);
+                        if (!postArgs.postId && postArgs.content === undefined) {
+                            throw new McpError(ErrorCode.InvalidParams, 'Either postId or content (or content_file) is required');
+                        }
+                        return await this.lintPost(resolveBlogId(postArgs), postArgs.postId, { title: postArgs.title, content: postArgs.content, labels: postArgs.labels });
+                    }
+                    case 'create_post': {
+                        const postArgs = loadContentArgs(args);
+                        if (!postArgs.content) throw new McpError(ErrorCode.InvalidParams, 'Either content or content_file is required');
+                        if (!postArgs.title) throw new McpError(ErrorCode.InvalidParams, 'title is required, either as an argument or in the front matter');
+                        const publishDate = resolvePublishDate(postArgs.publishDate, postArgs.timeZone);
+                        if (publishDate && postArgs.isDraft !== false) {
+                            throw new McpError(ErrorCode.InvalidParams, 'publishDate requires isDraft: false');
+                        }
+                        const slug = parseSlug(postArgs.slug);
+                        if (slug && postArgs.isDraft !== false) {
+                            throw new McpError(ErrorCode.InvalidParams, 'slug requires isDraft: false, since the permalink is set when the post is first published. For a draft, pass slug to change_post_status when publishing it');
+                        }
+                        checkSlugPublishDate(slug, publishDate);
+                        return await this.createPost(resolveBlogId(postArgs), postArgs.title, postArgs.content, postArgs.labels || [], postArgs.isDraft !== false, publishDate, {
+                            lint: postArgs.lint === true,
+                            metadata: parsePostMetadata(postArgs),
+                            slug,
+                        });
+                    }
+                    case 'update_post': {
+                        const postArgs = loadContentArgs(args);
+                        if (postArgs.expectedUpdated !== undefined && Number.isNaN(Date.parse(postArgs.expectedUpdated))) {
+                            throw new McpError(ErrorCode.InvalidParams, 'expectedUpdated must be an ISO 8601 date-time, as returned in "updated" by get_post');
+                        }
+                        return await this.updatePost(resolveBlogId(postArgs), postArgs.postId, postArgs.title, postArgs.content, postArgs.labels, {
+                            metadata: parsePostMetadata(postArgs),
+                            dryRun: postArgs.dryRun === true,
+                            expectedUpdated: postArgs.expectedUpdated,
+                            etag: postArgs.etag,
+                        });
+                    }
+                    case 'change_post_status': {
+                        const publishDate = resolvePublishDate(args.publishDate, args.timeZone);
+                        if (publishDate && args.action !== 'publish') {
+                            throw new McpError(ErrorCode.InvalidParams, 'publishDate can only be used with action "publish"');
+                        }
+                        if ((args.lint || args.slug !== undefined) && args.action !== 'publish') {
+                            throw new McpError(ErrorCode.InvalidParams, 'lint and slug can only be used with action "publish"');
+                        }
+                        const slug = parseSlug(args.slug);
+                        checkSlugPublishDate(slug, publishDate);
+                        return await this.changePostStatus(resolveBlogId(args), args.postId, args.action, publishDate, { lint: args.lint === true, slug });
+                    }
+                    case 'delete_post':
+                        return await this.deletePost(resolveBlogId(args), args.postId);
+                    case 'bulk_update_posts': {
+                        if (!BULK_ACTIONS.includes(args.action)) {
+                            throw new McpError(ErrorCode.InvalidParams, `action must be one of: ${BULK_ACTIONS.join(', ')}`);
+                        }
+                        if (!args.postIds === !args.filter || (args.filter && typeof args.filter !== 'object')) {
+                            throw new McpError(ErrorCode.InvalidParams, 'Pass either postIds or filter (an object with list_posts filters)');
+                        }
+                        if (args.postIds && (!Array.isArray(args.postIds) || !args.postIds.length || args.postIds.some(id => typeof id !== 'string' || !id))) {
+                            throw new McpError(ErrorCode.InvalidParams, 'postIds must be a non-empty list of post IDs');
+                        }
+                        const labelAction = args.action === 'add_labels' || args.action === 'remove_labels';
+                        if (labelAction && (!Array.isArray(args.labels) || !args.labels.length || args.labels.some(label => typeof label !== 'string' || !label.trim()))) {
+                            throw new McpError(ErrorCode.InvalidParams, `${args.action} requires labels: a non-empty list of labels`);
+                        }
+                        const concurrency = args.concurrency === undefined ? DEFAULT_BULK_CONCURRENCY : Number(args.concurrency);
+                        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BULK_CONCURRENCY) {
+                            throw new McpError(ErrorCode.InvalidParams, `concurrency must be a whole number from 1 to ${MAX_BULK_CONCURRENCY}`);
+                        }
+                        return await this.bulkUpdatePosts(resolveBlogId(args), args.action, {
+                            postIds: args.postIds ? [...new Set(args.postIds)] : undefined,
+                            filter: args.filter ? parsePostQuery({ ...args.filter, all: true }) : undefined,
+                            labels: labelAction ? [...new Set(args.labels.map(label => label.trim()))] : undefined,
+                            dryRun: args.dryRun === true,
+                            confirmToken: args.confirmToken,
+                            concurrency,
+                        });
+                    }
+                    case 'list_labels': {
+                        const query = parsePostQuery({ status: args.status, all: true, noCache: args.noCache });
+                        return await this.listLabels(resolveBlogId(args), query.status, query.noCache);
+                    }
+                    case 'rename_label':
+                    case 'merge_labels': {
+                        const sources = name === 'rename_label' ? [args.from] : args.sources;
+                        const target = name === 'rename_label' ? args.to : args.target;
+                        if (!Array.isArray(sources) || !sources.length || sources.some(label => typeof label !== 'string' || !label.trim())) {
+                            throw new McpError(ErrorCode.InvalidParams, name === 'rename_label' ? 'from must be a non-empty label' : 'sources must be a non-empty list of labels');
+                        }
+                        if (typeof target !== 'string' || !target.trim()) {
+                            throw new McpError(ErrorCode.InvalidParams, `${name === 'rename_label' ? 'to' : 'target'} must be a non-empty label`);
+                        }
+                        const from = [...new Set(sources.map(label => label.trim()))].filter(label => label !== target.trim());
+                        if (!from.length) {
+                            throw new McpError(ErrorCode.InvalidParams, 'Nothing to do: the new label is the same as the old one');
+                        }
+                        const concurrency = args.concurrency === undefined ? DEFAULT_BULK_CONCURRENCY : Number(args.concurrency);
+                        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BULK_CONCURRENCY) {
+                            throw new McpError(ErrorCode.InvalidParams, `concurrency must be a whole number from 1 to ${MAX_BULK_CONCURRENCY}`);
+                        }
+                        return await this.relabelPosts(resolveBlogId(args), from, target.trim(), { dryRun: args.dryRun === true, concurrency });
+                    }
+                    case 'list_revisions':
+                        return await this.listPostRevisions(resolveBlogId(args), args.postId);
+                    case 'diff_revision':
+                        return await this.diffRevision(resolveBlogId(args), args.postId, args.revisionId, args.against);
+                    case 'restore_revision':
+                        return await this.restoreRevision(resolveBlogId(args), args.postId, args.revisionId);
+                    case 'list_pages': {
+                        const status = args.status === undefined ? undefined : (Array.isArray(args.status) ? args.status : [args.status]).map(s => String(s).toLowerCase());
+                        if (status && (!status.length || status.some(s => !PAGE_STATUSES.includes(s)))) {
+                            throw new McpError(ErrorCode.InvalidParams, `status must be one or more of: ${PAGE_STATUSES.join(', ')}`);
+                        }
+                        return await this.listPages(resolveBlogId(args), status, args.fetchBodies === true);
+                    }
+                    case 'get_page':
+                        return await this.getPage(resolveBlogId(args), args.pageId);
+                    case 'create_page': {
+                        let content = args.content_file ? readContentFile(args.content_file) : args.content;
+                        if (!content) throw new McpError(ErrorCode.InvalidParams, 'Either content or content_file is required');
+                        return await this.createPage(resolveBlogId(args), args.title, content, args.isDraft !== false);
+                    }
+                    case 'update_page': {
+                        let updateContent = args.content_file ? readContentFile(args.content_file) : args.content;
+                        return await this.updatePage(resolveBlogId(args), args.pageId, args.title, updateContent);
+                    }
+                    case 'change_page_status':
+                        return await this.changePageStatus(resolveBlogId(args), args.pageId, args.action);
+                    case 'delete_page':
+                        return await this.deletePage(resolveBlogId(args), args.pageId);
+                    case 'list_comments': {
+                        const status = args.status === undefined ? undefined : (Array.isArray(args.status) ? args.status : [args.status]).map(s => String(s).toLowerCase());
+                        if (status && (!status.length || status.some(s => !COMMENT_STATUSES.includes(s)))) {
+                            throw new McpError(ErrorCode.InvalidParams, `status must be one or more of: ${COMMENT_STATUSES.join(', ')}`);
+                        }
+                        return await this.listComments(resolveBlogId(args), args.postId, status, args.maxResults || 20, args.pageToken, args.all === true);
+                    }
+                    case 'moderate_comment':
+                        return await this.moderateComment(resolveBlogId(args), args.postId, args.commentId, args.action);
+                    case 'delete_comment':
+                        return await this.deleteComment(resolveBlogId(args), args.postId, args.commentId);
+                    case 'export_blog':
+                        if (!args.outputDir) throw new McpError(ErrorCode.InvalidParams, 'outputDir is required');
+                        return await this.exportBlog(resolveBlogId(args), args.outputDir, args.format || 'json', args.includeComments === true);
+                    case 'import_posts':
+                        if (!args.source) throw new McpError(ErrorCode.InvalidParams, 'source is required');
+                        if (args.dedupeBy !== undefined && !IMPORT_DEDUPE_MODES.includes(args.dedupeBy)) {
+                            throw new McpError(ErrorCode.InvalidParams, `dedupeBy must be one of: ${IMPORT_DEDUPE_MODES.join(', ')}`);
+                        }
+                        return await this.importPosts(resolveBlogId(args), args.source, args.format, args.dryRun !== false, args.dedupeBy || 'sourceUrl', args.forceDraft === true);
+                    case 'sync_status':
+                    case 'sync_pull':
+                    case 'sync_push': {
+                        if (!args.dir) throw new McpError(ErrorCode.InvalidParams, 'dir is required');
+                        if (args.force && !args.files?.length) {
+                            throw new McpError(ErrorCode.InvalidParams, 'force requires files, so conflicts are only overwritten for files you name explicitly');
+                        }
+                        if (args.format !== undefined && !SYNC_FORMATS.includes(args.format)) {
+                            throw new McpError(ErrorCode.InvalidParams, `format must be one of: ${SYNC_FORMATS.join(', ')}`);
+                        }
+                        if (name === 'sync_status')
+                            return await this.syncStatus(resolveBlogId(args), args.dir);
+                        return name === 'sync_pull'
+                            ? await this.syncPull(resolveBlogId(args), args.dir, args.format || 'markdown', args.files, args.force === true)
+                            : await this.syncPush(resolveBlogId(args), args.dir, args.files, args.force === true);
+                    }
+                    default:
+                        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+                }
+            }
+            catch (error) {
+                // Unknown tools stay a protocol error; everything else becomes an isError result the assistant can act on
+                if (error instanceof McpError && error.code === ErrorCode.MethodNotFound) {
+                    throw error;
+                }
+                return errorResult(error);
+            }
+        }));
+    }
+    setupResourceHandlers() {
+        this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => withProfile(undefined, () => this.listResources(request.params?.cursor)));
+        this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+            resourceTemplates: [
+                {
+                    uriTemplate: 'blogger://{blogId}',
+                    name: 'blog',
+                    description: 'Blog metadata (name, URL, post and page counts) as JSON',
+                    mimeType: 'application/json',
+                },
+                {
+                    uriTemplate: 'blogger://{blogId}/posts/{postId}{?format}',
+                    name: 'post',
+                    description: 'A post\'s HTML content, or with format=markdown Markdown with YAML front matter. Drafts and scheduled posts need OAuth',
+                    mimeType: 'text/html',
+                },
+                {
+                    uriTemplate: 'blogger://{blogId}/pages/{pageId}{?format}',
+                    name: 'page',
+                    description: 'A static page\'s HTML content, or with format=markdown Markdown with YAML front matter. Draft pages need OAuth',
+                    mimeType: 'text/html',
+                },
+            ],
+        }));
+        this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => withProfile(undefined, () => this.readResource(request.params.uri)));
+        this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            parseResourceUri(request.params.uri);
+            this.subscriptions.add(request.params.uri);
+            return {};
+        });
+        this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            this.subscriptions.delete(request.params.uri);
+            return {};
+        });
+    }
+    // Lists the blog, its pages and its posts (including drafts and scheduled posts with OAuth) for DEFAULT_BLOG_ID,
+    // or for every blog of the authenticated user, one page of posts per call
+    async listResources(cursor) {
+        try {
+            const position = cursor ? decodeCursor(cursor) : { blog: 0 };
+            const defaultBlogId = DEFAULT_BLOG_ID ? resolveBlogId({}) : undefined;
+            const useOAuth = !!oauthHandler;
+            const auth = await this.getAuthClient(useOAuth);
+            const bloggerClient = this.getBloggerClient(auth);
+            const blogIds = defaultBlogId
+                ? [defaultBlogId]
+                : useOAuth ? ((await bloggerClient.blogs.listByUser({ userId: 'self' })).data.items || []).map(blog => blog.id) : [];
+            const blogId = blogIds[position.blog];
+            if (!blogId) {
+                return { resources: [] };
+            }
+            const resources = [];
+            if (!position.pageToken) {
+                const blog = (await bloggerClient.blogs.get({ blogId })).data;
+                resources.push({ uri: resourceUri(blogId), name: blog.name || blogId, description: blog.description || `Blog ${blog.url}`, mimeType: 'application/json' });
+                const pages = await bloggerClient.pages.list({ blogId, status: useOAuth ? PAGE_STATUSES : undefined, view: useOAuth ? 'ADMIN' : undefined, fetchBodies: false });
+                for (const page of pages.data.items || []) {
+                    resources.push({ uri: resourceUri(blogId, 'pages', page.id), name: page.title || '(untitled)', description: `${page.status || 'LIVE'} page`, mimeType: 'text/html' });
+                }
+            }
+            const response = await bloggerClient.posts.list({
+                blogId,
+                status: useOAuth ? POST_STATUSES : undefined,
+                view: useOAuth ? 'ADMIN' : undefined,
+                fetchBodies: false,
+                maxResults: FETCH_ALL_PAGE_SIZE,
+                pageToken: position.pageToken,
+            });
+            for (const post of response.data.items || []) {
+                resources.push({ uri: resourceUri(blogId, 'posts', post.id), name: post.title || '(untitled)', description: `${post.status || 'LIVE'} post, updated ${post.updated}`, mimeType: 'text/html' });
+            }
+            const next = response.data.nextPageToken
+                ? { blog: position.blog, pageToken: response.data.nextPageToken }
+                : position.blog + 1 < blogIds.length ? { blog: position.blog + 1 } : null;
+            return { resources, nextCursor: next ? encodeCursor(next) : undefined };
+        }
+        catch (error) {
+            if (error instanceof McpError)
+                throw error;
+            throw new McpError(ErrorCode.InternalError, `Failed to list resources: ${error}`);
+        }
+    }
+    async readResource(uri) {
+        const { blogId: blogRef, type, id, format } = parseResourceUri(uri);
+        const blogId = resolveBlogId({ blogId: blogRef });
+        try {
+            const useOAuth = !!oauthHandler;
+            const auth = await this.getAuthClient(useOAuth);
+            const bloggerClient = this.getBloggerClient(auth);
+            if (!type) {
+                const blog = (await bloggerClient.blogs.get({ blogId })).data;
+                const info = {
+                    id: blog.id,
+                    name: blog.name,
+                    description: blog.description || '',
+                    url: blog.url,
+                    posts: blog.posts?.totalItems || 0,
+                    pages: blog.pages?.totalItems || 0,
+                    updated: blog.updated,
+                };
+                return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(info, null, 2) }] };
+            }
+            const params = type === 'posts' ? { blogId, postId: id } : { blogId, pageId: id };
+            if (useOAuth) {
+                params.view = 'ADMIN';
+            }
+            const item = (await bloggerClient[type].get(params)).data;
+            return {
+                contents: [{
+                        uri,
+                        mimeType: format === 'markdown' ? 'text/markdown' : 'text/html',
+                        text: serializeExportItem(item, format),
+                    }],
+            };
+        }
+        catch (error) {
+            if (isNotFound(error)) {
+                throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+            }
+            throw new McpError(ErrorCode.InternalError, `Failed to read resource: ${error}`);
+        }
+    }
+    // Drop cached reads of what changed and tell subscribed clients about writes made through this server. Blogger has
+    // no change feed, so edits made elsewhere (e.g. in the web UI) are only seen once the cache revalidates.
+    async notifyResourceChange(blogId, type, id, listChanged = false) {
+        readCache.invalidate(blogId, type === 'posts' ? id : undefined);
+        try {
+            const uri = resourceUri(blogId, type, id);
+            const blogUri = resourceUri(blogId);
+            for (const subscribed of this.subscriptions) {
+                if (subscribed === uri || subscribed.startsWith(`${uri}?`) || (listChanged && subscribed === blogUri)) {
+                    await this.server.sendResourceUpdated({ uri: subscribed });
+                }
+            }
+            if (listChanged) {
+                await this.server.sendResourceListChanged();
+            }
+        }
+        catch (error) {
+            console.error('[MCP Error] Failed to send resource notification:', error);
+        }
+    }
+    setupPromptHandlers() {
+        this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+        this.server.setRequestHandler(GetPromptRequestSchema, async (request) => withProfile(request.params.arguments?.profile, () => this.getPrompt(request.params.name, request.params.arguments || {})));
+    }
+    // Fetch the live blog data a prompt needs through the tool implementations, then build its messages
+    async getPrompt(name, args) {
+        if (!PROMPTS.some(prompt => prompt.name === name)) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+        }
+        const blogId = resolveBlogId(args);
+        if (name === 'draft_post_from_outline' && !args.outline?.trim()) {
+            throw new McpError(ErrorCode.InvalidParams, 'outline is required');
+        }
+        if ((name === 'seo_review' || name === 'write_excerpt') && !args.postId) {
+            throw new McpError(ErrorCode.InvalidParams, 'postId is required');
+        }
+        if (name === 'suggest_labels' && !args.postId && !args.content?.trim()) {
+            throw new McpError(ErrorCode.InvalidParams, 'Either postId or content is required');
+        }
+        if (args.words !== undefined && !(Number(args.words) > 0)) {
+            throw new McpError(ErrorCode.InvalidParams, 'words must be a positive number');
+        }
+        const data = { blogId };
+        if (args.postId) {
+            data.post = responseData(await this.getPost(blogId, args.postId));
+            data.uri = resourceUri(blogId, 'posts', args.postId);
+        }
+        if (name === 'draft_post_from_outline' || name === 'suggest_labels') {
+            // The newest posts are enough to show which labels are in use, and prompts/get stays cheap on large blogs
+            data.posts = responseData(await this.listPosts(blogId, { all: true, maxPages: PROMPT_MAX_PAGES, fetchBodies: false })).posts;
+            data.taxonomy = labelTaxonomy(data.posts);
+        }
+        return buildPrompt(name, args, data);
+    }
+    async listBlogs() {
+        try {
+            if (!oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for listing blogs. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const auth = await this.getAuthClient(true);
+            const bloggerClient = this.getBloggerClient(auth);
+            const response = await bloggerClient.blogs.listByUser({
+                userId: 'self',
+            });
+            const blogs = (response.data.items || []).map(blog => ({
+                id: blog.id,
+                name: blog.name,
+                description: blog.description || '',
+                url: blog.url,
+                posts: blog.posts?.totalItems || 0,
+            }));
+            return jsonResponse({ total: blogs.length, blogs });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to list blogs');
+        }
+    }
+    // The OAuth handler for the current profile; auth_* tools fail clearly when OAuth isn't configured at all
+    requireOAuth() {
+        if (!oauthHandler) {
+            throw new ToolError('not_configured', 'OAuth is not configured. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+        }
+        return profileOAuth();
+    }
+    async authStatus() {
+        try {
+            return jsonResponse(await this.requireOAuth().getStatus());
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to get auth status');
+        }
+    }
+    async authLogin(readOnly, force = false) {
+        try {
+            const handler = this.requireOAuth();
+            const pending = await handler.login({ readOnly, force });
+            if (!pending) {
+                return jsonResponse({ ...(await handler.getStatus()), alreadySignedIn: true });
+            }
+            if (handler.config.headless) {
+                return jsonResponse({
+                    profile: handler.profile,
+                    signInPending: true,
+                    authUrl: pending.authUrl,
+                    instructions: `Open authUrl in a browser and approve access. Then pass the URL you are redirected to (${pending.redirectUri}?code=...) to auth_complete.`,
+                });
+            }
+            await pending.promise;
+            return jsonResponse(await handler.getStatus());
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to sign in');
+        }
+    }
+    async authLogout() {
+        try {
+            const handler = this.requireOAuth();
+            return jsonResponse({ profile: handler.profile, ...(await handler.revokeAuth()) });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to sign out');
+        }
+    }
+    async completeAuth(response) {
+        try {
+            const handler = this.requireOAuth();
+            const tokens = await handler.completeAuthorization(response);
+            return jsonResponse({
+                authenticated: true,
+                profile: handler.profile,
+                scopes: tokens.scope ? tokens.scope.split(' ') : [],
+                expiresAt: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null,
+                refreshToken: !!tokens.refresh_token,
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to complete sign-in');
+        }
+    }
+    getUsage() {
+        return jsonResponse({ ...this.usage.snapshot(), cache: readCache.stats() });
+    }
+    async getBlogInfo(blogUrl, noCache = false) {
+        try {
+            const auth = await this.getAuthClient(false); // Read operation
+            const bloggerClient = this.getBloggerClient(auth);
+            const identity = this.cacheIdentity(auth);
+            let response;
+            // Check if it's a URL or ID
+            if (blogUrl.includes('.')) {
+                // It's a URL
+                const url = blogUrl.startsWith('http') ? blogUrl : `https://${blogUrl}`;
+                response = await readCache.fetch(ReadCache.key('url', 'blog', url, identity, {}), options => bloggerClient.blogs.getByUrl({ url }, options), { bypass: noCache });
+            }
+            else {
+                // It's an ID
+                response = await readCache.fetch(ReadCache.key(blogUrl, 'blog', undefined, identity, {}), options => bloggerClient.blogs.get({ blogId: blogUrl }, options), { bypass: noCache });
+            }
+            const blog = response.data;
+            return jsonResponse({
+                id: blog.id,
+                name: blog.name,
+                description: blog.description || '',
+                url: blog.url,
+                published: blog.published,
+                updated: blog.updated,
+                posts: blog.posts?.totalItems || 0,
+                pages: blog.pages?.totalItems || 0,
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to get blog info');
+        }
+    }
+    async listPosts(blogId, query) {
+        try {
+            const { all, maxPages, pageToken, status, view, noCache, ...filters } = query;
+            // Drafts, scheduled posts and the non-reader views are only visible to the blog's authors
+            const requireOAuth = (status || []).some(s => s !== 'live') || (view !== undefined && view !== 'READER');
+            if (requireOAuth && !oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for listing draft/scheduled posts or using the AUTHOR/ADMIN view. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const auth = await this.getAuthClient(requireOAuth);
+            const bloggerClient = this.getBloggerClient(auth);
+            const identity = this.cacheIdentity(auth);
+            const { items, nextPageToken } = await fetchPages(token => {
+                const params = {
+                    blogId,
+                    ...filters,
+                    maxResults: all ? FETCH_ALL_PAGE_SIZE : filters.maxResults,
+                    labels: filters.labels?.join(','),
+                    status,
+                    view,
+                    pageToken: token,
+                };
+                return readCache.fetch(ReadCache.key(blogId, 'posts', undefined, identity, params), options => bloggerClient.posts.list(params, options), { bypass: noCache });
+            }, pageToken, all, maxPages);
+            const posts = items.map(post => ({
+                id: post.id,
+                title: post.title,
+                status: post.status || 'LIVE',
+                published: post.published || null,
+                updated: post.updated,
+                url: post.url || null,
+                labels: post.labels || [],
+                ...(filters.fetchBodies ? { content: post.content } : {}),
+            }));
+            return jsonResponse({ total: posts.length, posts, nextPageToken });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to list posts');
+        }
+    }
+    // Keeps list_drafts' own response shape ({ total, drafts }) for existing callers
+    async listDrafts(blogId, query) {
+        const { posts, nextPageToken } = responseData(await this.listPosts(blogId, { ...query, status: ['draft'] }));
+        const drafts = posts.map(post => ({
+            id: post.id,
+            title: post.title,
+            updated: post.updated,
+            labels: post.labels,
+            ...(post.content !== undefined ? { content: post.content } : {}),
+        }));
+        return jsonResponse({ total: drafts.length, drafts, nextPageToken });
+    }
+    async listScheduled(blogId, query) {
+        return await this.listPosts(blogId, { ...query, status: ['scheduled'] });
+    }
+    async getPost(blogId, postId, noCache = false) {
+        try {
+            const useOAuth = !!oauthHandler;
+            const auth = await this.getAuthClient(useOAuth);
+            const bloggerClient = this.getBloggerClient(auth);
+            const params = { blogId, postId };
+            if (useOAuth) {
+                params.view = 'ADMIN';
+            }
+            const response = await readCache.fetch(ReadCache.key(blogId, 'post', postId, this.cacheIdentity(auth), params), options => bloggerClient.posts.get(params, options), { bypass: noCache });
+            const post = response.data;
+            return jsonResponse({
+                id: post.id,
+                title: post.title,
+                status: post.status || 'LIVE',
+                published: post.published || null,
+                updated: post.updated,
+                etag: post.etag || null,
+                url: post.url || null,
+                labels: post.labels || [],
+                ...postMetadata(post),
+                content: post.content,
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to get post');
+        }
+    }
+    async searchPosts(blogId, query, pageToken, all = false) {
+        try {
+            const auth = await this.getAuthClient(false); // Read operation
+            const bloggerClient = this.getBloggerClient(auth);
+            const { items, nextPageToken } = await fetchPages(token => bloggerClient.posts.search({
+                blogId,
+                q: query,
+                pageToken: token,
+            }), pageToken, all);
+            const posts = items.map(post => ({
+                id: post.id,
+                title: post.title,
+                published: post.published,
+                updated: post.updated,
+                url: post.url,
+                labels: post.labels || [],
+            }));
+            return jsonResponse({ query, total: posts.length, posts, nextPageToken });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to search posts');
+        }
+    }
+    async createPost(blogId, title, content, labels = [], isDraft = false, publishDate, { lint = false, metadata = {}, slug } = {}) {
+        try {
+            // A draft isn't going live yet, so its findings are only reported
+            const findings = lint ? await this.runLint(blogId, { title, content, labels }, isDraft ? undefined : 'created') : undefined;
+            let createdPost = await this.insertPost(blogId, { title, content, labels, ...metadata }, isDraft || !!slug, publishDate);
+            let titleWarning;
+            if (slug) {
+                const bloggerClient = this.getBloggerClient(await this.getAuthClient(true));
+                try {
+                    ({ post: createdPost, warning: titleWarning } = await this.publishWithSlug(bloggerClient, blogId, createdPost, slug, publishDate));
+                }
+                catch (error) {
+                    throw toolError(error, `Post ${createdPost.id} was created as a draft, but publishing it failed`);
+                }
+                await this.notifyResourceChange(blogId, 'posts', createdPost.id, true);
+            }
+            return jsonResponse({
+                id: createdPost.id,
+                title: createdPost.title,
+                status: createdPost.status || (isDraft ? 'DRAFT' : 'LIVE'),
+                published: createdPost.published || null,
+                url: createdPost.url || null,
+                ...postMetadata(createdPost),
+                ...slugWarning(createdPost, slug, titleWarning),
+                ...(findings ? { lint: findings } : {}),
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to create post');
+        }
+    }
+    // Insert a post and return the raw API resource; shared by create_post and import_posts
+    async insertPost(blogId, fields, isDraft = false, publishDate) {
+        if (!oauthHandler) {
+            throw new ToolError('not_configured', 'OAuth authentication required for creating posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+        }
+        const auth = await this.getAuthClient(true); // Write operation requires OAuth
+        const bloggerClient = this.getBloggerClient(auth);
+        const post = {
+            kind: 'blogger#post',
+            ...fields,
+        };
+        // posts.insert can only publish immediately, so scheduled posts are created as drafts and then published with a date
+        const response = await bloggerClient.posts.insert({
+            blogId,
+            requestBody: post,
+            isDraft: isDraft || !!publishDate,
+        });
+        const created = publishDate && !isDraft
+            ? (await bloggerClient.posts.publish({ blogId, postId: response.data.id, publishDate })).data
+            : response.data;
+        await this.notifyResourceChange(blogId, 'posts', created.id, true);
+        return created;
+    }
+    async updatePost(blogId, postId, title, content, labels, { metadata = {}, dryRun = false, expectedUpdated, etag } = {}) {
+        try {
+            const result = await this.mergePost(blogId, postId, { title, content, labels, ...metadata }, { dryRun, expectedUpdated, etag });
+            if (dryRun) {
+                return jsonResponse({ id: postId, dryRun: true, updated: result.post.updated, etag: result.post.etag || null, ...result.changes });
+            }
+            return jsonResponse({
+                id: result.id,
+                title: result.title,
+                status: result.status || 'LIVE',
+                url: result.url || null,
+                updated: result.updated,
+                etag: result.etag || null,
+                ...postMetadata(result),
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to update post');
+        }
+    }
+    // Merge the given fields into the existing post and return the updated API resource; shared by update_post, sync_push
+    // and restore_revision. With dryRun nothing is written and { post, changes } describes what would change instead.
+    // `labels` may also be a function from the current labels to the new ones. With skipUnchanged a merge that changes
+    // nothing returns the existing post without writing or taking a snapshot.
+    async mergePost(blogId, postId, { title, content, labels, location, customMetaData, readerComments }, { revisionAction = 'update', dryRun = false, expectedUpdated, etag, skipUnchanged = false } = {}) {
+        if (!oauthHandler) {
+            throw new ToolError('not_configured', 'OAuth authentication required for updating posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+        }
+        const auth = await this.getAuthClient(true);
+        const bloggerClient = this.getBloggerClient(auth);
+        // Fetch the existing post with ADMIN view to support both live and draft posts
+        const existing = await bloggerClient.posts.get({
+            blogId,
+            postId,
+            view: 'ADMIN',
+        });
+        const postData = existing.data;
+        // Optimistic concurrency: refuse to overwrite an edit made since the caller read the post
+        if ((expectedUpdated && Date.parse(expectedUpdated) !== Date.parse(postData.updated)) || (etag && postData.etag && etag !== postData.etag)) {
+            throw new ToolError('conflict', `Conflict: post ${postId} was modified at ${postData.updated}, after it was read${expectedUpdated ? ` (expected updated ${expectedUpdated})` : ''}. Fetch it again with get_post, reapply the changes and retry`);
+        }
+        const merged = { ...postData };
+        if (title)
+            merged.title = title;
+        if (content)
+            merged.content = content;
+        if (labels)
+            merged.labels = typeof labels === 'function' ? labels(postData.labels || []) : labels;
+        for (const [field, value] of Object.entries({ location, customMetaData, readerComments })) {
+            if (value === null)
+                delete merged[field];
+            else if (value !== undefined)
+                merged[field] = value;
+        }
+        if (dryRun) {
+            return { post: postData, changes: describeChanges(postData, merged) };
+        }
+        if (skipUnchanged && !describeChanges(postData, merged).changed) {
+            return postData;
+        }
+        await saveRevision(blogId, postData, revisionAction);
+        let response;
+        try {
+            // If-Match makes Blogger refuse the update when the post changed after it was read above
+            response = await bloggerClient.posts.update({
+                blogId,
+                postId,
+                requestBody: merged,
+            }, postData.etag ? { headers: { 'If-Match': postData.etag } } : undefined);
+        }
+        catch (error) {
+            if (errorStatus(error) === 412) {
+                throw new ToolError('conflict', `Conflict: post ${postId} was modified while it was being updated, so the update was not applied. Fetch it again with get_post, reapply the changes and retry`, { status: 412 });
+            }
+            throw error;
+        }
+        // Title and status show up in resources/list, so any edit may change the list
+        await this.notifyResourceChange(blogId, 'posts', postId, true);
+        return response.data;
+    }
+    async changePostStatus(blogId, postId, action, publishDate, { lint = false, slug } = {}) {
+        try {
+            if (!oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const auth = await this.getAuthClient(true);
+            const bloggerClient = this.getBloggerClient(auth);
+            if (action !== 'publish' && action !== 'revert') {
+                throw new McpError(ErrorCode.InvalidParams, 'action must be "publish" or "revert"');
+            }
+            const existing = await bloggerClient.posts.get({ blogId, postId, view: 'ADMIN' });
+            const findings = lint ? await this.runLint(blogId, existing.data, 'published') : undefined;
+            if (slug && existing.data.url) {
+                throw new ToolError('invalid_input', `Post ${postId} was published before, so its permalink ${existing.data.url} can't be changed; publish it without slug`);
+            }
+            await saveRevision(blogId, existing.data, action);
+            let post;
+            let titleWarning;
+            if (slug) {
+                ({ post, warning: titleWarning } = await this.publishWithSlug(bloggerClient, blogId, existing.data, slug, publishDate));
+            }
+            else {
+                post = (action === 'publish'
+                    ? await bloggerClient.posts.publish({ blogId, postId, publishDate })
+                    : await bloggerClient.posts.revert({ blogId, postId })).data;
+            }
+            await this.notifyResourceChange(blogId, 'posts', postId, true);
+            const scheduled = publishDate && new Date(publishDate).getTime() > Date.now();
+            return jsonResponse({
+                id: post.id,
+                title: post.title,
+                status: post.status || (action === 'publish' ? (scheduled ? 'SCHEDULED' : 'LIVE') : 'DRAFT'),
+                published: post.published || null,
+                url: post.url || null,
+                ...slugWarning(post, slug, titleWarning),
+                ...(findings ? { lint: findings } : {}),
+            });
+        }
+        catch (error) {
+            throw toolError(error, `Failed to ${action} post`);
+        }
+    }
+    // Publish the draft `post` under the title made from `slug`, then put its title back. Returns { post, warning }, with
+    // a warning if the post went live but its title couldn't be restored; a failed publish is thrown as is.
+    async publishWithSlug(bloggerClient, blogId, post, slug, publishDate) {
+        const restoreTitle = async () => (await bloggerClient.posts.patch({ blogId, postId: post.id, requestBody: { title: post.title } })).data;
+        await bloggerClient.posts.patch({ blogId, postId: post.id, requestBody: { title: slugTitle(slug) } });
+        let published;
+        try {
+            published = (await bloggerClient.posts.publish({ blogId, postId: post.id, publishDate })).data;
+        }
+        catch (error) {
+            // The post is still a draft, so its title can go back without touching the permalink
+            try {
+                await restoreTitle();
+            }
+            catch (restoreError) {
+                error.message += `. Post ${post.id} was left as a draft titled "${slugTitle(slug)}"; set its title back to "${post.title}" with update_post`;
+            }
+            throw error;
+        }
+        try {
+            return { post: await restoreTitle() };
+        }
+        catch (error) {
+            return {
+                post: published,
+                warning: `Post ${post.id} was published, but its title could not be set back (${error instanceof Error ? error.message : String(error)}); it is live as "${slugTitle(slug)}", so set the title to "${post.title}" with update_post`,
+            };
+        }
+    }
+    async lintPost(blogId, postId, { title, content, labels }) {
+        try {
+            const saved = postId ? responseData(await this.getPost(blogId, postId)) : {};
+            const post = {
+                title: title ?? saved.title,
+                content: content ?? saved.content,
+                labels: labels ?? saved.labels,
+            };
+            return jsonResponse({ ...(postId ? { postId } : {}), ...(await this.runLint(blogId, post)) });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to lint post');
+        }
+    }
+    // Lint a post, looking up the posts it links to. With `blockedAction` (e.g. "published") lint errors throw instead,
+    // and the post is left alone.
+    async runLint(blogId, post, blockedAction) {
+        // Reads go through the API key when there is one; an OAuth-only setup reads as the signed-in profile
+        const auth = await this.getAuthClient(!API_KEY);
+        const bloggerClient = this.getBloggerClient(auth);
+        const blog = await readCache.fetch(ReadCache.key(blogId, 'blog', undefined, this.cacheIdentity(auth), {}), options => bloggerClient.blogs.get({ blogId }, options));
+        const blogUrl = blog.data.url;
+        const paths = [...new Set(internalPostLinks(post.content, blogUrl).map(link => link.path))];
+        const missingPaths = new Set();
+        if (paths.length) {
+            await mapConcurrent(paths, DEFAULT_BULK_CONCURRENCY, async (linkPath) => {
+                try {
+                    await bloggerClient.posts.getByPath({ blogId, path: linkPath });
+                }
+                catch (error) {
+                    if (!isNotFound(error))
+                        throw error;
+                    missingPaths.add(linkPath);
+                }
+            });
+        }
+        const result = lintPost(post, { blogUrl, missingPaths });
+        if (blockedAction && !result.ok) {
+            throw new ToolError('invalid_input', `Lint found ${result.errors} error${result.errors === 1 ? '' : 's'} in the post, so it was not ${blockedAction}`, {
+                hint: 'Fix the errors listed in details.findings and retry; lint_post checks the post again. Warnings don\'t block publishing.',
+                details: result,
+            });
+        }
+        return result;
+    }
+    async deletePost(blogId, postId) {
+        try {
+            if (!oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for deleting posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const auth = await this.getAuthClient(true); // Write operation requires OAuth
+            const bloggerClient = this.getBloggerClient(auth);
+            const existing = await bloggerClient.posts.get({ blogId, postId, view: 'ADMIN' });
+            const revisionId = await saveRevision(blogId, existing.data, 'delete');
+            await bloggerClient.posts.delete({
+                blogId,
+                postId,
+            });
+            await this.notifyResourceChange(blogId, 'posts', postId, true);
+            return jsonResponse({ id: postId, deleted: true, revisionId });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to delete post');
+        }
+    }
+    // Apply one action to many posts. The posts are looked up first (by ID, or by running the filter), so the dry run
+    // and the real run see the same list and skip the same no-op posts.
+    async bulkUpdatePosts(blogId, action, { postIds, filter, labels, dryRun = false, confirmToken, concurrency = DEFAULT_BULK_CONCURRENCY }) {
+        try {
+            const targets = (await this.resolveBulkTargets(blogId, postIds, filter, concurrency)).map(target => target.error ? target : { ...target, skipped: bulkSkipReason(action, labels, target) });
+            const changing = targets.filter(target => !target.error && !target.skipped);
+            const token = bulkConfirmToken(blogId, action, labels, changing.map(target => target.postId));
+            const destructive = DESTRUCTIVE_BULK_ACTIONS.includes(action);
+            if (dryRun) {
+                return jsonResponse({
+                    dryRun: true,
+                    action,
+                    ...(labels ? { labels } : {}),
+                    total: targets.length,
+                    willChange: changing.length,
+                    skipped: targets.filter(target => target.skipped).length,
+                    failed: targets.filter(target => target.error).length,
+                    posts: targets,
+                    ...(destructive && changing.length ? { confirmToken: token, next: `To ${action} ${changing.length === 1 ? 'this post' : `these ${changing.length} posts`}, call again with dryRun: false and confirmToken: "${token}"` } : {}),
+                });
+            }
+            if (destructive && changing.length && confirmToken !== token) {
+                throw new McpError(ErrorCode.InvalidParams, confirmToken
+                    ? 'confirmToken does not match: the posts this would change are not the ones from the dry run. Run the dry run again'
+                    : `Bulk ${action} needs a dry run first: call with dryRun: true, check the summary, then pass the confirmToken it returns`);
+            }
+            const results = await mapConcurrent(targets, concurrency, async (target) => {
+                if (target.error || target.skipped) {
+                    return target;
+                }
+                try {
+                    return { ...target, ok: true, ...(await this.applyBulkAction(blogId, action, labels, target.postId)) };
+                }
+                catch (error) {
+                    const { category, message } = toolError(error, `Failed to ${action.replace('_', ' ')}`);
+                    return { ...target, ok: false, error: { category, message } };
+                }
+            });
+            return jsonResponse({
+                action,
+                ...(labels ? { labels } : {}),
+                total: results.length,
+                succeeded: results.filter(result => result.ok).length,
+                skipped: results.filter(result => result.skipped).length,
+                failed: results.filter(result => result.error).length,
+                results,
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to update posts');
+        }
+    }
+    // { postId, title, status, labels } for each post to change; posts that can't be read carry an error instead.
+    // Read past the cache, since skip decisions and status changes depend on the current state.
+    async resolveBulkTargets(blogId, postIds, filter, concurrency) {
+        if (filter) {
+            const { posts, nextPageToken } = responseData(await this.listPosts(blogId, { ...filter, noCache: true }));
+            if (posts.length > MAX_BULK_POSTS || nextPageToken) {
+                throw new McpError(ErrorCode.InvalidParams, `The filter matches more than ${MAX_BULK_POSTS} posts; narrow it down`);
+            }
+            return posts.map(post => ({ postId: post.id, title: post.title, status: post.status, labels: post.labels }));
+        }
+        if (postIds.length > MAX_BULK_POSTS) {
+            throw new McpError(ErrorCode.InvalidParams, `At most ${MAX_BULK_POSTS} postIds per call`);
+        }
+        return await mapConcurrent(postIds, concurrency, async (postId) => {
+            try {
+                const post = responseData(await this.getPost(blogId, postId, true));
+                return { postId, title: post.title, status: post.status, labels: post.labels };
+            }
+            catch (error) {
+                const { category, message } = toolError(error, 'Failed to get post');
+                return { postId, ok: false, error: { category, message } };
+            }
+        });
+    }
+    async applyBulkAction(blogId, action, labels, postId) {
+        switch (action) {
+            case 'publish':
+            case 'revert': {
+                const post = responseData(await this.changePostStatus(blogId, postId, action));
+                return { status: post.status, url: post.url };
+            }
+            case 'delete': {
+                const { revisionId } = responseData(await this.deletePost(blogId, postId));
+                return { deleted: true, revisionId };
+            }
+            case 'add_labels': {
+                const post = await this.mergePost(blogId, postId, { labels: current => [...new Set([...current, ...labels])] }, { skipUnchanged: true });
+                return { labels: post.labels || [] };
+            }
+            case 'remove_labels': {
+                const post = await this.mergePost(blogId, postId, { labels: current => current.filter(label => !labels.includes(label)) }, { skipUnchanged: true });
+                return { labels: post.labels || [] };
+            }
+        }
+    }
+    // Every post of the given statuses (default: all that the credentials can see), without bodies
+    async allPosts(blogId, status, noCache = false) {
+        const { posts, nextPageToken } = responseData(await this.listPosts(blogId, {
+            all: true,
+            status: status || (oauthHandler ? POST_STATUSES : undefined),
+            noCache,
+        }));
+        return { posts, complete: !nextPageToken };
+    }
+    async listLabels(blogId, status, noCache = false) {
+        try {
+            const { posts, complete } = await this.allPosts(blogId, status, noCache);
+            const labels = labelTaxonomy(posts);
+            // Labels that only differ in case, spaces or punctuation are probably meant to be the same
+            const groups = new Map();
+            for (const { label } of labels) {
+                const key = label.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+                groups.set(key, [...(groups.get(key) || []), label]);
             }
-        });
+            return jsonResponse({
+                total: labels.length,
+                postsScanned: posts.length,
+                ...(complete ? {} : { truncated: `Only the first ${posts.length} posts were scanned` }),
+                labels,
+                // Most used first, so the first label of each group is the natural merge target
+                possibleDuplicates: [...groups.values()].filter(group => group.length > 1),
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to list labels');
+        }
     }
-    async listBlogs() {
+    // Replace each label in `sources` with `target` on every post that has one, through the same merge as update_post
+    async relabelPosts(blogId, sources, target, { dryRun = false, concurrency = DEFAULT_BULK_CONCURRENCY } = {}) {
         try {
             if (!oauthHandler) {
-                throw new Error('OAuth authentication required for listing blogs. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+                throw new ToolError('not_configured', 'OAuth authentication required for changing labels. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
             }
-            const auth = await this.getAuthClient(true);
-            const bloggerClient = this.getBloggerClient(auth);
-            const response = await bloggerClient.blogs.listByUser({
-                userId: 'self',
+            // Only posts carrying one of the labels are listed, one label at a time since the API's label filter is
+            // not documented as matching any of several labels. Every page is read, however many posts that is.
+            const affected = new Map();
+            for (const label of sources) {
+                const { posts } = responseData(await this.listPosts(blogId, { all: true, maxPages: Infinity, labels: [label], status: POST_STATUSES, noCache: true }));
+                for (const post of posts) {
+                    if (post.labels.some(postLabel => sources.includes(postLabel)))
+                        affected.set(post.id, post);
+                }
+            }
+            const relabel = labels => [...new Set(labels.map(label => sources.includes(label) ? target : label))];
+            const summary = { from: sources, to: target, total: affected.size };
+            if (dryRun) {
+                return jsonResponse({
+                    dryRun: true,
+                    ...summary,
+                    posts: [...affected.values()].map(post => ({ postId: post.id, title: post.title, status: post.status, labels: post.labels, newLabels: relabel(post.labels) })),
+                });
+            }
+            const results = await mapConcurrent([...affected.values()], concurrency, async (post) => {
+                try {
+                    const updated = await this.mergePost(blogId, post.id, { labels: relabel }, { skipUnchanged: true });
+                    return { postId: post.id, title: post.title, ok: true, labels: updated.labels || [] };
+                }
+                catch (error) {
+                    const { category, message } = toolError(error, 'Failed to update post');
+                    return { postId: post.id, title: post.title, ok: false, error: { category, message } };
+                }
+            });
+            return jsonResponse({
+                ...summary,
+                succeeded: results.filter(result => result.ok).length,
+                failed: results.filter(result => !result.ok).length,
+                results,
             });
-            const blogs = (response.data.items || []).map(blog => ({
-                id: blog.id,
-                name: blog.name,
-                description: blog.description || '',
-                url: blog.url,
-                posts: blog.posts?.totalItems || 0,
-            }));
-            return jsonResponse({ total: blogs.length, blogs });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to list blogs: ${error}`);
+            throw toolError(error, 'Failed to relabel posts');
         }
     }
-    async getBlogInfo(blogUrl) {
+    async listPostRevisions(blogId, postId) {
         try {
-            const auth = await this.getAuthClient(false); // Read operation
-            const bloggerClient = this.getBloggerClient(auth);
-            let response;
-            // Check if it's a URL or ID
-            if (blogUrl.includes('.')) {
-                // It's a URL
-                response = await bloggerClient.blogs.getByUrl({
-                    url: blogUrl.startsWith('http') ? blogUrl : `https://${blogUrl}`,
-                });
+            if (!postId) {
+                const posts = await listRevisions(blogId);
+                return jsonResponse({ total: posts.length, posts });
+            }
+            const revisions = await listRevisions(blogId, postId);
+            return jsonResponse({ postId, total: revisions.length, revisions });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to list revisions');
+        }
+    }
+    async diffRevision(blogId, postId, revisionId, against) {
+        try {
+            const revision = await loadRevision(blogId, postId, revisionId);
+            let target;
+            if (against) {
+                target = (await loadRevision(blogId, postId, against)).post;
             }
             else {
-                // It's an ID
-                response = await bloggerClient.blogs.get({
-                    blogId: blogUrl,
-                });
+                if (!oauthHandler) {
+                    throw new ToolError('not_configured', 'OAuth authentication required to compare with the current post. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+                }
+                const auth = await this.getAuthClient(true);
+                const bloggerClient = this.getBloggerClient(auth);
+                try {
+                    target = (await bloggerClient.posts.get({ blogId, postId, view: 'ADMIN' })).data;
+                }
+                catch (error) {
+                    if (!isNotFound(error))
+                        throw error;
+                    throw new ToolError('not_found', `Post ${postId} no longer exists; pass another revision as "against", or restore_revision to recreate it`);
+                }
             }
-            const blog = response.data;
             return jsonResponse({
-                id: blog.id,
-                name: blog.name,
-                description: blog.description || '',
-                url: blog.url,
-                published: blog.published,
-                updated: blog.updated,
-                posts: blog.posts?.totalItems || 0,
-                pages: blog.pages?.totalItems || 0,
+                postId,
+                from: { revisionId, action: revision.action, savedAt: revision.savedAt, status: revision.post.status || 'LIVE' },
+                to: against ? { revisionId: against } : { current: true, status: target.status || 'LIVE', updated: target.updated },
+                ...describeChanges(revision.post, target),
             });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to get blog info: ${error}`);
+            throw toolError(error, 'Failed to diff revision');
         }
     }
-    async listPosts(blogId, maxResults) {
+    async restoreRevision(blogId, postId, revisionId) {
         try {
-            const auth = await this.getAuthClient(false); // Read operation
+            if (!oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for restoring posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const { post: snapshot } = await loadRevision(blogId, postId, revisionId);
+            const status = snapshot.status || 'LIVE';
+            const auth = await this.getAuthClient(true);
             const bloggerClient = this.getBloggerClient(auth);
-            const response = await bloggerClient.posts.list({
-                blogId,
-                maxResults,
-            });
-            const posts = (response.data.items || []).map(post => ({
-                id: post.id,
-                title: post.title,
-                published: post.published,
-                updated: post.updated,
-                url: post.url,
-                labels: post.labels || [],
-            }));
-            return jsonResponse({ total: posts.length, posts });
+            let current;
+            try {
+                current = (await bloggerClient.posts.get({ blogId, postId, view: 'ADMIN' })).data;
+            }
+            catch (error) {
+                if (!isNotFound(error))
+                    throw error;
+            }
+            const fields = {
+                title: snapshot.title,
+                content: snapshot.content,
+                labels: snapshot.labels || [],
+                location: snapshot.location,
+                customMetaData: snapshot.customMetaData,
+                readerComments: snapshot.readerComments,
+            };
+            if (!current) {
+                // Blogger can't bring back a deleted ID, so the post is recreated with its original date
+                const publishDate = status === 'DRAFT' ? undefined : snapshot.published;
+                const recreated = await this.insertPost(blogId, fields, status === 'DRAFT', publishDate);
+                return jsonResponse({ id: recreated.id, previousId: postId, recreated: true, restoredFrom: revisionId, title: recreated.title, status: recreated.status || status, url: recreated.url || null });
+            }
+            // Settings the snapshot didn't have are removed, rather than kept from the current post
+            let restored = await this.mergePost(blogId, postId, { ...fields, location: fields.location ?? null, customMetaData: fields.customMetaData ?? null }, { revisionAction: 'restore' });
+            const currentStatus = current.status || 'LIVE';
+            if (status !== currentStatus) {
+                restored = status === 'DRAFT'
+                    ? (await bloggerClient.posts.revert({ blogId, postId })).data
+                    : (await bloggerClient.posts.publish({ blogId, postId, publishDate: snapshot.published || undefined })).data;
+                await this.notifyResourceChange(blogId, 'posts', postId, true);
+            }
+            return jsonResponse({ id: restored.id, recreated: false, restoredFrom: revisionId, title: restored.title, status: restored.status || status, url: restored.url || null, updated: restored.updated });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to list posts: ${error}`);
+            throw toolError(error, 'Failed to restore revision');
         }
     }
-    async listDrafts(blogId, maxResults) {
+    async listPages(blogId, status, fetchBodies = false) {
         try {
-            if (!oauthHandler) {
-                throw new Error('OAuth authentication required for listing drafts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            const requireOAuth = (status || []).some(s => s !== 'live');
+            if (requireOAuth && !oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for listing draft pages. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
             }
-            const auth = await this.getAuthClient(true); // Requires OAuth
+            const auth = await this.getAuthClient(requireOAuth);
             const bloggerClient = this.getBloggerClient(auth);
-            const response = await bloggerClient.posts.list({
+            const { items } = await fetchPages(token => bloggerClient.pages.list({
                 blogId,
-                maxResults,
-                status: 'draft',
-            });
-            const drafts = (response.data.items || []).map(post => ({
-                id: post.id,
-                title: post.title,
-                updated: post.updated,
-                labels: post.labels || [],
+                status,
+                fetchBodies,
+                view: requireOAuth ? 'ADMIN' : undefined,
+                maxResults: FETCH_ALL_PAGE_SIZE,
+                pageToken: token,
+            }), undefined, true);
+            const pages = items.map(page => ({
+                id: page.id,
+                title: page.title,
+                status: page.status || 'LIVE',
+                published: page.published || null,
+                updated: page.updated,
+                url: page.url || null,
+                ...(fetchBodies ? { content: page.content } : {}),
             }));
-            return jsonResponse({ total: drafts.length, drafts });
+            return jsonResponse({ total: pages.length, pages });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to list drafts: ${error}`);
+            throw toolError(error, 'Failed to list pages');
         }
     }
-    async getPost(blogId, postId) {
+    async getPage(blogId, pageId) {
         try {
             const useOAuth = !!oauthHandler;
             const auth = await this.getAuthClient(useOAuth);
             const bloggerClient = this.getBloggerClient(auth);
-            const params = { blogId, postId };
+            const params = { blogId, pageId };
             if (useOAuth) {
                 params.view = 'ADMIN';
             }
-            const response = await bloggerClient.posts.get(params);
-            const post = response.data;
+            const response = await bloggerClient.pages.get(params);
+            const page = response.data;
             return jsonResponse({
-                id: post.id,
-                title: post.title,
-                status: post.status || 'LIVE',
-                published: post.published || null,
-                updated: post.updated,
-                url: post.url || null,
-                labels: post.labels || [],
-                content: post.content,
-            });
-        }
-        catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to get post: ${error}`);
-        }
-    }
-    async searchPosts(blogId, query) {
-        try {
-            const auth = await this.getAuthClient(false); // Read operation
-            const bloggerClient = this.getBloggerClient(auth);
-            const response = await bloggerClient.posts.search({
-                blogId,
-                q: query,
+                id: page.id,
+                title: page.title,
+                status: page.status || 'LIVE',
+                published: page.published || null,
+                updated: page.updated,
+                url: page.url || null,
+                content: page.content,
             });
-            const posts = (response.data.items || []).map(post => ({
-                id: post.id,
-                title: post.title,
-                published: post.published,
-                updated: post.updated,
-                url: post.url,
-                labels: post.labels || [],
-            }));
-            return jsonResponse({ query, total: posts.length, posts });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to search posts: ${error}`);
+            throw toolError(error, 'Failed to get page');
         }
     }
-    async createPost(blogId, title, content, labels = [], isDraft = false) {
+    async createPage(blogId, title, content, isDraft = false) {
         try {
             if (!oauthHandler) {
-                throw new Error('OAuth authentication required for creating posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+                throw new ToolError('not_configured', 'OAuth authentication required for creating pages. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
             }
             const auth = await this.getAuthClient(true); // Write operation requires OAuth
             const bloggerClient = this.getBloggerClient(auth);
-            const post = {
-                kind: 'blogger#post',
-                title,
-                content,
-                labels,
-            };
-            const response = await bloggerClient.posts.insert({
+            const response = await bloggerClient.pages.insert({
                 blogId,
-                requestBody: post,
+                requestBody: {
+                    kind: 'blogger#page',
+                    title,
+                    content,
+                },
                 isDraft: isDraft,
             });
-            const createdPost = response.data;
+            const createdPage = response.data;
+            await this.notifyResourceChange(blogId, 'pages', createdPage.id, true);
             return jsonResponse({
-                id: createdPost.id,
-                title: createdPost.title,
+                id: createdPage.id,
+                title: createdPage.title,
                 status: isDraft ? 'DRAFT' : 'LIVE',
-                published: createdPost.published || null,
-                url: createdPost.url || null,
+                published: createdPage.published || null,
+                url: createdPage.url || null,
             });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to create post: ${error}`);
+            throw toolError(error, 'Failed to create page');
         }
     }
-    async updatePost(blogId, postId, title, content, labels) {
+    async updatePage(blogId, pageId, title, content) {
         try {
             if (!oauthHandler) {
-                throw new Error('OAuth authentication required for updating posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+                throw new ToolError('not_configured', 'OAuth authentication required for updating pages. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
             }
             const auth = await this.getAuthClient(true);
             const bloggerClient = this.getBloggerClient(auth);
-            // Fetch the existing post with ADMIN view to support both live and draft posts
-            const existing = await bloggerClient.posts.get({
+            // Fetch the existing page with ADMIN view to support both live and draft pages
+            const existing = await bloggerClient.pages.get({
                 blogId,
-                postId,
+                pageId,
                 view: 'ADMIN',
             });
-            const postData = existing.data;
-            // Merge updates into the existing post
+            const pageData = existing.data;
             if (title)
-                postData.title = title;
+                pageData.title = title;
             if (content)
-                postData.content = content;
-            if (labels)
-                postData.labels = labels;
-            const response = await bloggerClient.posts.update({
+                pageData.content = content;
+            const response = await bloggerClient.pages.update({
                 blogId,
-                postId,
-                requestBody: postData,
+                pageId,
+                requestBody: pageData,
             });
-            const updatedPost = response.data;
+            const updatedPage = response.data;
+            await this.notifyResourceChange(blogId, 'pages', pageId, true);
             return jsonResponse({
-                id: updatedPost.id,
-                title: updatedPost.title,
-                status: updatedPost.status || 'LIVE',
-                url: updatedPost.url || null,
-                updated: updatedPost.updated,
+                id: updatedPage.id,
+                title: updatedPage.title,
+                status: updatedPage.status || 'LIVE',
+                url: updatedPage.url || null,
+                updated: updatedPage.updated,
             });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to update post: ${error}`);
+            throw toolError(error, 'Failed to update page');
         }
     }
-    async changePostStatus(blogId, postId, action) {
+    async changePageStatus(blogId, pageId, action) {
         try {
             if (!oauthHandler) {
-                throw new Error('OAuth authentication required. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+                throw new ToolError('not_configured', 'OAuth authentication required. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
             }
             const auth = await this.getAuthClient(true);
             const bloggerClient = this.getBloggerClient(auth);
@@ -555,42 +3024,574 @@ class BloggerMCPServer {
                 throw new McpError(ErrorCode.InvalidParams, 'action must be "publish" or "revert"');
             }
             const response = action === 'publish'
-                ? await bloggerClient.posts.publish({ blogId, postId })
-                : await bloggerClient.posts.revert({ blogId, postId });
-            const post = response.data;
+                ? await bloggerClient.pages.publish({ blogId, pageId })
+                : await bloggerClient.pages.revert({ blogId, pageId });
+            const page = response.data;
+            await this.notifyResourceChange(blogId, 'pages', pageId, true);
             return jsonResponse({
-                id: post.id,
-                title: post.title,
+                id: page.id,
+                title: page.title,
                 status: action === 'publish' ? 'LIVE' : 'DRAFT',
-                published: post.published || null,
-                url: post.url || null,
+                published: page.published || null,
+                url: page.url || null,
             });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to ${action} post: ${error}`);
+            throw toolError(error, `Failed to ${action} page`);
         }
     }
-    async deletePost(blogId, postId) {
+    async deletePage(blogId, pageId) {
         try {
             if (!oauthHandler) {
-                throw new Error('OAuth authentication required for deleting posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+                throw new ToolError('not_configured', 'OAuth authentication required for deleting pages. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
             }
             const auth = await this.getAuthClient(true); // Write operation requires OAuth
             const bloggerClient = this.getBloggerClient(auth);
-            await bloggerClient.posts.delete({
+            await bloggerClient.pages.delete({
+                blogId,
+                pageId,
+            });
+            await this.notifyResourceChange(blogId, 'pages', pageId, true);
+            return jsonResponse({ id: pageId, deleted: true });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to delete page');
+        }
+    }
+    async listComments(blogId, postId, status, maxResults, pageToken, all = false) {
+        try {
+            // Anything other than live comments is only visible to the blog's authors
+            const requireOAuth = (status || []).some(s => s !== 'live');
+            if (requireOAuth && !oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for listing pending, spam or emptied comments. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const auth = await this.getAuthClient(requireOAuth);
+            const bloggerClient = this.getBloggerClient(auth);
+            const params = {
+                blogId,
+                status,
+                fetchBodies: true,
+                maxResults: all ? FETCH_ALL_PAGE_SIZE : maxResults,
+            };
+            const { items, nextPageToken } = await fetchPages(token => postId
+                ? bloggerClient.comments.list({ ...params, postId, view: requireOAuth ? 'ADMIN' : undefined, pageToken: token })
+                : bloggerClient.comments.listByBlog({ ...params, pageToken: token }), pageToken, all);
+            const comments = items.map(comment => ({
+                id: comment.id,
+                postId: comment.post?.id || postId || null,
+                status: comment.status || 'LIVE',
+                author: comment.author?.displayName || null,
+                published: comment.published || null,
+                updated: comment.updated,
+                inReplyTo: comment.inReplyTo?.id || null,
+                content: comment.content,
+            }));
+            return jsonResponse({ total: comments.length, comments, nextPageToken });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to list comments');
+        }
+    }
+    async moderateComment(blogId, postId, commentId, action) {
+        try {
+            if (!oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for moderating comments. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const auth = await this.getAuthClient(true);
+            const bloggerClient = this.getBloggerClient(auth);
+            if (!COMMENT_ACTIONS.includes(action)) {
+                throw new McpError(ErrorCode.InvalidParams, `action must be one of: ${COMMENT_ACTIONS.join(', ')}`);
+            }
+            const params = { blogId, postId, commentId };
+            const response = action === 'approve'
+                ? await bloggerClient.comments.approve(params)
+                : action === 'spam'
+                    ? await bloggerClient.comments.markAsSpam(params)
+                    : await bloggerClient.comments.removeContent(params);
+            const comment = response.data;
+            return jsonResponse({
+                id: comment.id || commentId,
+                postId,
+                status: comment.status || null,
+                content: comment.content ?? null,
+            });
+        }
+        catch (error) {
+            throw toolError(error, `Failed to ${action} comment`);
+        }
+    }
+    async deleteComment(blogId, postId, commentId) {
+        try {
+            if (!oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for deleting comments. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const auth = await this.getAuthClient(true); // Write operation requires OAuth
+            const bloggerClient = this.getBloggerClient(auth);
+            await bloggerClient.comments.delete({
                 blogId,
                 postId,
+                commentId,
+            });
+            return jsonResponse({ id: commentId, postId, deleted: true });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to delete comment');
+        }
+    }
+    async exportBlog(blogId, outputDir, format = 'json', includeComments = false) {
+        try {
+            if (!EXPORT_FORMATS.includes(format)) {
+                throw new McpError(ErrorCode.InvalidParams, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+            }
+            // Drafts, scheduled posts and unmoderated comments are only included when OAuth is available
+            const admin = !!oauthHandler;
+            const auth = await this.getAuthClient(admin);
+            const bloggerClient = this.getBloggerClient(auth);
+            const root = path.resolve(outputDir);
+            const manifestFile = path.join(root, EXPORT_MANIFEST);
+            let previous = {};
+            try {
+                const manifest = JSON.parse(await fs.readFile(manifestFile, 'utf8'));
+                if (manifest.blogId === blogId && manifest.format === format) {
+                    previous = manifest.items || {};
+                }
+            }
+            catch {
+                // First export into this directory
+            }
+            const blog = (await bloggerClient.blogs.get({ blogId })).data;
+            const view = admin ? 'ADMIN' : undefined;
+            const { items: posts } = await fetchPages(token => bloggerClient.posts.list({
+                blogId,
+                status: admin ? POST_STATUSES : undefined,
+                view,
+                fetchBodies: true,
+                maxResults: FETCH_ALL_PAGE_SIZE,
+                pageToken: token,
+            }), undefined, true, Infinity);
+            const { items: pages } = await fetchPages(token => bloggerClient.pages.list({
+                blogId,
+                status: admin ? PAGE_STATUSES : undefined,
+                view,
+                fetchBodies: true,
+                maxResults: FETCH_ALL_PAGE_SIZE,
+                pageToken: token,
+            }), undefined, true, Infinity);
+            const entries = [
+                ...posts.map(post => ({ key: `posts/${post.id}`, type: 'post', item: post, body: () => serializeExportItem(post, format) })),
+                ...pages.map(page => ({ key: `pages/${page.id}`, type: 'page', item: page, body: () => serializeExportItem(page, format) })),
+            ];
+            let commentCount = 0;
+            if (includeComments) {
+                const { items: comments } = await fetchPages(token => bloggerClient.comments.listByBlog({
+                    blogId,
+                    status: admin ? COMMENT_STATUSES : undefined,
+                    fetchBodies: true,
+                    maxResults: FETCH_ALL_PAGE_SIZE,
+                    pageToken: token,
+                }), undefined, true, Infinity);
+                commentCount = comments.length;
+                const byPost = new Map();
+                for (const comment of comments) {
+                    const postId = comment.post?.id || 'unknown';
+                    byPost.set(postId, [...(byPost.get(postId) || []), comment]);
+                }
+                for (const [postId, postComments] of byPost) {
+                    // A thread counts as changed when a comment is added, removed or edited
+                    const updated = `${postComments.length}@${postComments.map(c => c.updated || '').sort().pop()}`;
+                    entries.push({ key: `comments/${postId}`, type: 'comments', item: { id: postId, updated }, ext: 'json', body: () => JSON.stringify(postComments, null, 2) });
+                }
+            }
+            const items = {};
+            let written = 0;
+            let unchanged = 0;
+            for (const { key, type, item, ext, body } of entries) {
+                const file = `${key}.${ext || EXPORT_EXTENSIONS[format]}`;
+                items[key] = type === 'comments'
+                    ? { type, postId: item.id, updated: item.updated, file }
+                    : { type, id: item.id, title: item.title, labels: item.labels || [], status: item.status || 'LIVE', published: item.published || null, updated: item.updated, url: item.url || null, file };
+                const target = path.join(root, file);
+                const exists = await fs.access(target).then(() => true, () => false);
+                if (exists && previous[key]?.updated === item.updated && previous[key].file === file) {
+                    unchanged++;
+                    continue;
+                }
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, body());
+                written++;
+            }
+            // Files of items deleted from the blog are left in place; they just drop out of the manifest
+            const removed = Object.keys(previous).filter(key => !items[key]);
+            await fs.writeFile(manifestFile, JSON.stringify({
+                blogId,
+                blog: { name: blog.name, url: blog.url },
+                format,
+                exportedAt: new Date().toISOString(),
+                items,
+            }, null, 2));
+            return jsonResponse({
+                blogId,
+                outputDir: root,
+                format,
+                posts: posts.length,
+                pages: pages.length,
+                comments: includeComments ? commentCount : null,
+                written,
+                unchanged,
+                removed,
+                draftsIncluded: admin,
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to export blog');
+        }
+    }
+    async importPosts(blogId, source, format, dryRun = true, dedupeBy = 'sourceUrl', forceDraft = false) {
+        try {
+            if (!oauthHandler) {
+                throw new ToolError('not_configured', 'OAuth authentication required for importing posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+            }
+            const { format: detectedFormat, items } = await readImportSource(source, format);
+            const existingBySource = new Map();
+            const existingByTitle = new Map();
+            if (dedupeBy !== 'none') {
+                const auth = await this.getAuthClient(true);
+                const bloggerClient = this.getBloggerClient(auth);
+                const { items: existing } = await fetchPages(token => bloggerClient.posts.list({
+                    blogId,
+                    status: POST_STATUSES,
+                    view: 'ADMIN',
+                    // Source markers live in the content, so bodies are only needed when matching on them
+                    fetchBodies: dedupeBy === 'sourceUrl',
+                    maxResults: FETCH_ALL_PAGE_SIZE,
+                    pageToken: token,
+                }), undefined, true, Infinity);
+                for (const post of existing) {
+                    const marker = IMPORT_SOURCE_MARKER.exec(post.content || '');
+                    if (marker)
+                        existingBySource.set(marker[1], post.id);
+                    // Re-importing this blog's own export matches on the post's URL
+                    if (post.url)
+                        existingBySource.set(post.url, post.id);
+                    existingByTitle.set(normalizeTitle(post.title), post.id);
+                }
+            }
+            const results = [];
+            for (const item of items) {
+                const result = { title: item.title, source: item.source, sourceUrl: item.sourceUrl };
+                results.push(result);
+                if (item.error) {
+                    Object.assign(result, { action: 'failed', error: item.error });
+                    continue;
+                }
+                const isDraft = forceDraft || item.isDraft;
+                const matchOnTitle = dedupeBy === 'title' || (dedupeBy === 'sourceUrl' && !item.sourceUrl);
+                const duplicateOf = (dedupeBy === 'sourceUrl' && item.sourceUrl && existingBySource.get(item.sourceUrl))
+                    || (matchOnTitle && existingByTitle.get(normalizeTitle(item.title)));
+                if (duplicateOf) {
+                    Object.assign(result, { action: 'skipped', reason: `already on the blog as post ${duplicateOf}`, existingId: duplicateOf });
+                    continue;
+                }
+                try {
+                    if (!item.content) {
+                        throw new Error('item has no content');
+                    }
+                    const publishDate = isDraft ? undefined : resolvePublishDate(item.published || undefined);
+                    if (dryRun) {
+                        Object.assign(result, { action: 'create', status: isDraft ? 'DRAFT' : 'LIVE', publishDate: publishDate || null, labels: item.labels });
+                    }
+                    else {
+                        const content = item.sourceUrl ? `${item.content}<!-- mcp-blogger:source=${item.sourceUrl} -->` : item.content;
+                        const created = await this.insertPost(blogId, { title: item.title, content, labels: item.labels }, isDraft, publishDate);
+                        Object.assign(result, { action: 'created', id: created.id, status: created.status || (isDraft ? 'DRAFT' : 'LIVE'), url: created.url || null });
+                    }
+                    // Guard against duplicates within the same source too
+                    if (item.sourceUrl)
+                        existingBySource.set(item.sourceUrl, result.id || '(this import)');
+                    existingByTitle.set(normalizeTitle(item.title), result.id || '(this import)');
+                }
+                catch (error) {
+                    Object.assign(result, { action: 'failed', error: error instanceof Error ? error.message : String(error) });
+                }
+            }
+            const count = action => results.filter(result => result.action === action).length;
+            return jsonResponse({
+                source,
+                format: detectedFormat,
+                dryRun,
+                total: results.length,
+                ...(dryRun ? { toCreate: count('create') } : { created: count('created') }),
+                skipped: count('skipped'),
+                failed: count('failed'),
+                items: results,
+            });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to import posts');
+        }
+    }
+    // Local files, sync state and remote post metadata for one sync folder, classified by compareSyncState()
+    async loadSync(blogId, dir) {
+        if (!oauthHandler) {
+            throw new ToolError('not_configured', 'OAuth authentication required for syncing posts. Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+        }
+        const root = path.resolve(dir);
+        const state = await loadSyncState(root, blogId);
+        const localFiles = await readSyncFiles(root);
+        const auth = await this.getAuthClient(true);
+        const bloggerClient = this.getBloggerClient(auth);
+        const { items: remotePosts } = await fetchPages(token => bloggerClient.posts.list({
+            blogId,
+            status: POST_STATUSES,
+            view: 'ADMIN',
+            fetchBodies: false,
+            maxResults: FETCH_ALL_PAGE_SIZE,
+            pageToken: token,
+        }), undefined, true, Infinity);
+        const entries = compareSyncState(state, localFiles, remotePosts);
+        // Forget files that are gone on both sides
+        for (const entry of entries) {
+            if (entry.status === 'local-deleted' && entry.remoteUpdated === null)
+                delete state.files[entry.file];
+        }
+        return { root, state, localFiles, entries, bloggerClient };
+    }
+    async syncStatus(blogId, dir) {
+        try {
+            const { root, entries } = await this.loadSync(blogId, dir);
+            const counts = {};
+            for (const entry of entries)
+                counts[entry.status] = (counts[entry.status] || 0) + 1;
+            return jsonResponse({
+                dir: root,
+                counts,
+                entries: entries.filter(entry => entry.status !== 'unchanged'),
             });
-            return jsonResponse({ id: postId, deleted: true });
         }
         catch (error) {
-            throw new McpError(ErrorCode.InternalError, `Failed to delete post: ${error}`);
+            throw toolError(error, 'Failed to get sync status');
+        }
+    }
+    async syncPull(blogId, dir, format = 'markdown', files, force = false) {
+        try {
+            const { root, state, entries, bloggerClient } = await this.loadSync(blogId, dir);
+            const selected = files?.length ? new Set(files) : null;
+            const taken = new Set([...entries.map(entry => entry.file).filter(Boolean)]);
+            const pulled = [];
+            const skipped = [];
+            for (const entry of entries) {
+                if (selected && !selected.has(entry.file) && !selected.has(entry.postId))
+                    continue;
+                const forced = force && entry.status === 'conflict' && entry.remoteUpdated !== null;
+                if (!['remote-changed', 'new-remote'].includes(entry.status) && !forced) {
+                    if (!['unchanged', 'new-local'].includes(entry.status))
+                        skipped.push({ file: entry.file, postId: entry.postId, status: entry.status, reason: entry.reason });
+                    continue;
+                }
+                try {
+                    const post = (await bloggerClient.posts.get({ blogId, postId: entry.postId, view: 'ADMIN' })).data;
+                    let file = entry.file;
+                    if (!file) {
+                        file = syncFileName(post, format === 'html' ? 'html' : 'md', taken);
+                        taken.add(file);
+                    }
+                    const text = serializeExportItem(post, isMarkdownFile(file) ? 'markdown' : 'html');
+                    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+                    await fs.writeFile(path.join(root, file), text);
+                    state.files[file] = { postId: post.id, title: post.title, updated: post.updated, etag: post.etag || null, hash: hashContent(text) };
+                    pulled.push({ file, postId: post.id, title: post.title, status: entry.status });
+                }
+                catch (error) {
+                    skipped.push({ file: entry.file, postId: entry.postId, status: 'failed', reason: error instanceof Error ? error.message : String(error) });
+                }
+            }
+            await saveSyncState(root, state);
+            return jsonResponse({ dir: root, pulled, skipped, conflicts: skipped.filter(item => item.status === 'conflict').length });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to pull posts');
+        }
+    }
+    async syncPush(blogId, dir, files, force = false) {
+        try {
+            const { root, state, localFiles, entries } = await this.loadSync(blogId, dir);
+            const selected = files?.length ? new Set(files) : null;
+            const pushed = [];
+            const skipped = [];
+            for (const entry of entries) {
+                if (selected && !selected.has(entry.file) && !selected.has(entry.postId))
+                    continue;
+                const forced = force && entry.status === 'conflict' && localFiles.has(entry.file);
+                if (!['local-changed', 'new-local'].includes(entry.status) && !forced) {
+                    if (!['unchanged', 'new-remote'].includes(entry.status))
+                        skipped.push({ file: entry.file, postId: entry.postId, status: entry.status, reason: entry.reason });
+                    continue;
+                }
+                try {
+                    const postArgs = loadContentArgs({ content_file: path.join(root, entry.file) });
+                    if (!postArgs.content) {
+                        throw new Error('file is empty');
+                    }
+                    const fields = { title: postArgs.title, content: postArgs.content, labels: postArgs.labels };
+                    let post;
+                    if (entry.postId && entry.remoteUpdated !== null) {
+                        post = await this.mergePost(blogId, entry.postId, fields);
+                    }
+                    else {
+                        const publishDate = resolvePublishDate(postArgs.publishDate, postArgs.timeZone);
+                        const isDraft = postArgs.isDraft !== false;
+                        if (publishDate && isDraft) {
+                            throw new Error('publishDate in front matter requires isDraft: false');
+                        }
+                        fields.title = fields.title || path.basename(entry.file, path.extname(entry.file));
+                        post = await this.insertPost(blogId, { ...fields, labels: fields.labels || [] }, isDraft, publishDate);
+                    }
+                    state.files[entry.file] = { postId: post.id, title: post.title, updated: post.updated, etag: post.etag || null, hash: localFiles.get(entry.file).hash };
+                    pushed.push({ file: entry.file, postId: post.id, title: post.title, status: entry.status, url: post.url || null });
+                }
+                catch (error) {
+                    skipped.push({ file: entry.file, postId: entry.postId, status: 'failed', reason: error instanceof Error ? error.message : String(error) });
+                }
+            }
+            await saveSyncState(root, state);
+            return jsonResponse({ dir: root, pushed, skipped, conflicts: skipped.filter(item => item.status === 'conflict').length });
+        }
+        catch (error) {
+            throw toolError(error, 'Failed to push posts');
         }
     }
     async run() {
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
+        process.on('SIGINT', async () => {
+            await this.server.close();
+            process.exit(0);
+        });
+    }
+}
+const CLI_USAGE = `Usage:
+  mcp-blogger                 Start the MCP server on stdio
+  mcp-blogger serve [options] Start the MCP server over Streamable HTTP (needs MCP_HTTP_TOKEN)
+      --host <host>           Interface to listen on (default: MCP_HTTP_HOST or ${DEFAULT_HTTP_HOST})
+      --port <port>           Port to listen on (default: MCP_HTTP_PORT or ${DEFAULT_HTTP_PORT})
+  mcp-blogger auth status|login|logout [options]
+      --profile <name>        Profile (Google account) (default: the default profile)
+      --read-only             login: only request read access
+      --force                 login: sign in again even if already signed in
+  mcp-blogger export [options]
+      --blog-id <id>          Blog ID or alias (default: DEFAULT_BLOG_ID)
+      --profile <name>        Profile (Google account) to authenticate as
+      --out <dir>             Output directory (required)
+      --format <format>       json, html or markdown (default: json)
+      --comments              Also export comments`;
+// One-off commands share the tool implementations and print the same JSON the tool would return
+async function runCli(command, argv) {
+    if (command === 'serve') {
+        return await serveHttp(argv);
     }
+    if (command === 'auth') {
+        return await runAuthCli(argv);
+    }
+    if (command !== 'export') {
+        console.error(CLI_USAGE);
+        process.exitCode = command === 'help' || command === '--help' ? 0 : 1;
+        return;
+    }
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            'blog-id': { type: 'string' },
+            profile: { type: 'string' },
+            out: { type: 'string' },
+            format: { type: 'string', default: 'json' },
+            comments: { type: 'boolean', default: false },
+        },
+    });
+    if (!values.out) {
+        console.error(CLI_USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    const cli = new BloggerMCPServer();
+    const result = await withProfile(values.profile, () => cli.exportBlog(resolveBlogId({ blogId: values['blog-id'] }), values.out, values.format, values.comments));
+    // Exiting explicitly could cut off a large result written to a pipe, so the process ends once stdout is flushed
+    console.log(result.content[0].text);
+}
+async function runAuthCli(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            profile: { type: 'string' },
+            'read-only': { type: 'boolean' },
+            force: { type: 'boolean', default: false },
+        },
+    });
+    const [action] = positionals;
+    if (!['status', 'login', 'logout'].includes(action)) {
+        console.error(CLI_USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    const cli = new BloggerMCPServer();
+    await withProfile(values.profile, async () => {
+        if (action === 'status') {
+            console.log((await cli.authStatus()).content[0].text);
+        }
+        else if (action === 'logout') {
+            console.log((await cli.authLogout()).content[0].text);
+        }
+        else {
+            const result = responseData(await cli.authLogin(values['read-only'], values.force));
+            if (result.signInPending) {
+                // Headless: the sign-in URL has been printed; the user opens it elsewhere and pastes the redirect URL back here
+                const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+                const response = await rl.question('Paste the URL you were redirected to (or the code): ');
+                rl.close();
+                await cli.completeAuth(response);
+                console.log((await cli.authStatus()).content[0].text);
+            }
+            else {
+                console.log(JSON.stringify(result, null, 2));
+            }
+        }
+    });
+}
+async function serveHttp(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            host: { type: 'string', default: process.env.MCP_HTTP_HOST || DEFAULT_HTTP_HOST },
+            port: { type: 'string', default: process.env.MCP_HTTP_PORT || String(DEFAULT_HTTP_PORT) },
+        },
+    });
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${values.port}`);
+    }
+    const http = await startHttpServer({
+        host: values.host,
+        port,
+        tokens: (process.env.MCP_HTTP_TOKEN || '').split(',').map(token => token.trim()).filter(Boolean),
+        createServer: () => new BloggerMCPServer().server,
+    });
+    console.error(`Blogger MCP server listening on ${http.url}`);
+    const shutdown = async (signal) => {
+        console.error(`${signal} received, closing sessions`);
+        await http.close();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+const [command, ...commandArgs] = process.argv.slice(2);
+if (command) {
+    runCli(command, commandArgs).catch(error => {
+        console.error(error instanceof Error ? error.message : error);
+        process.exitCode = 1;
+    });
+}
+else {
+    const server = new BloggerMCPServer();
+    server.run().catch(console.error);
 }
-const server = new BloggerMCPServer();
-server.run().catch(console.error);
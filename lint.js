@@ -0,0 +1,208 @@
+// Offline checks of a post's HTML and metadata before it goes live. Findings carry a severity: errors block a
+// `lint: true` publish, warnings are only reported.
+export const MAX_TITLE_LENGTH = 70;
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Elements whose content is not markup, so tags inside them aren't parsed
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+const BLOCK_ELEMENTS = ['address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+// Elements HTML lets authors leave open, closed implicitly by the next of these tags or by their parent's end tag
+const IMPLIED_END = {
+    p: new Set(BLOCK_ELEMENTS),
+    li: new Set(['li']),
+    dt: new Set(['dt', 'dd']),
+    dd: new Set(['dt', 'dd']),
+    tr: new Set(['tr', 'tbody', 'tfoot']),
+    td: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+    th: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+    thead: new Set(['tbody', 'tfoot']),
+    tbody: new Set(['tbody', 'tfoot']),
+    option: new Set(['option', 'optgroup']),
+};
+// A comment, an unterminated comment, a complete tag, or a "<" that starts a tag which never ends
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!--|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<\/?[a-zA-Z]/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+// Blogger post permalinks look like /2026/10/some-title.html
+const PERMALINK_PATTERN = /^\/\d{4}\/\d{2}\/[^/]+\.html$/;
+const PLACEHOLDERS = [
+    { pattern: /lorem ipsum/gi, severity: 'error' },
+    { pattern: /\[(?:insert|add|placeholder|your)\b[^\]\n]*\]/gi, severity: 'error' },
+    { pattern: /\{\{[^}\n]*\}\}/g, severity: 'error' },
+    { pattern: /\byour (?:text|content|title) here\b/gi, severity: 'error' },
+    // Also used in notes that are meant to stay, so these only warn
+    { pattern: /\b(?:TODO|TBD|FIXME|XXX)\b/g, severity: 'warning' },
+];
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+function excerpt(text) {
+    const oneLine = text.replace(/\s+/g, ' ').trim();
+    return oneLine.length > 80 ? `${oneLine.slice(0, 77)}...` : oneLine;
+}
+function parseAttributes(source) {
+    const attributes = new Map();
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes.set(match[1].toLowerCase(), match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+// Blank out the given ranges of `text`, keeping newlines so line numbers still match
+function mask(text, ranges) {
+    let masked = text;
+    for (const [start, end] of ranges) {
+        masked = masked.slice(0, start) + masked.slice(start, end).replace(/[^\n]/g, ' ') + masked.slice(end);
+    }
+    return masked;
+}
+// Path of a link to one of the blog's posts, or undefined for any other link
+function permalinkPath(href, blogUrl) {
+    let url;
+    try {
+        url = new URL(href, blogUrl || 'https://blog.invalid/');
+    }
+    catch {
+        return undefined;
+    }
+    const host = hostname => hostname.replace(/^www\./, '');
+    const blogHost = blogUrl ? host(new URL(blogUrl).hostname) : 'blog.invalid';
+    return host(url.hostname) === blogHost && PERMALINK_PATTERN.test(url.pathname) ? url.pathname : undefined;
+}
+// Links in `content` that point at posts of the blog at `blogUrl` (absolute, or relative to the blog)
+export function internalPostLinks(content, blogUrl) {
+    const links = [];
+    for (const match of String(content || '').matchAll(/<a\s((?:[^>"']|"[^"]*"|'[^']*')*)>/gi)) {
+        const href = parseAttributes(match[1]).get('href');
+        const linkPath = href && permalinkPath(href, blogUrl);
+        if (linkPath) {
+            links.push({ href, path: linkPath, index: match.index });
+        }
+    }
+    return links;
+}
+// Walk the tags of `html`, reporting structure and safety problems through `report(rule, severity, message, index, source)`.
+// Returns the ranges of comments and raw-text elements, which the text checks skip.
+function checkMarkup(html, report) {
+    const stack = [];
+    const skipped = [];
+    const closeImplied = (name) => {
+        while (stack.length && IMPLIED_END[stack.at(-1).name]?.has(name)) {
+            stack.pop();
+        }
+    };
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(html))) {
+        const [token, closing, tagName, attributeSource] = match;
+        if (token.startsWith('<!--')) {
+            if (token === '<!--') {
+                report('malformed_html', 'error', 'Comment is never closed with -->', match.index, token);
+                skipped.push([match.index, html.length]);
+                break;
+            }
+            skipped.push([match.index, match.index + token.length]);
+            continue;
+        }
+        if (!tagName) {
+            report('malformed_html', 'error', 'Tag is never closed with ">" (or has an unterminated quoted attribute)', match.index, html.slice(match.index, match.index + 60));
+            continue;
+        }
+        const name = tagName.toLowerCase();
+        if (closing) {
+            const open = stack.findLastIndex(element => element.name === name);
+            if (open === -1) {
+                if (!VOID_ELEMENTS.has(name)) {
+                    report('malformed_html', 'error', `</${name}> has no matching <${name}>`, match.index, token);
+                }
+                continue;
+            }
+            for (const element of stack.splice(open).slice(1)) {
+                if (!IMPLIED_END[element.name]) {
+                    report('unclosed_tag', 'error', `<${element.name}> is not closed before </${name}>`, element.index, element.token);
+                }
+            }
+            continue;
+        }
+        closeImplied(name);
+        const attributes = parseAttributes(attributeSource);
+        if (name === 'script') {
+            report('script', 'error', 'Inline <script>: Blogger may strip it, and it runs in every reader\'s browser', match.index, token);
+        }
+        if (name === 'iframe') {
+            report('iframe', 'warning', `Embedded <iframe>${attributes.get('src') ? ` from ${attributes.get('src')}` : ''}: check that the source is trusted`, match.index, token);
+        }
+        if (name === 'img' && !attributes.has('alt')) {
+            report('image_alt', 'warning', 'Image has no alt text (use alt="" for decorative images)', match.index, token);
+        }
+        for (const [attribute, value] of attributes) {
+            if (attribute.startsWith('on')) {
+                report('event_handler', 'error', `Inline event handler ${attribute}= on <${name}>`, match.index, token);
+            }
+            else if ((attribute === 'href' || attribute === 'src') && /^\s*javascript:/i.test(value)) {
+                report('event_handler', 'error', `javascript: URL in ${attribute}= on <${name}>`, match.index, token);
+            }
+        }
+        if (VOID_ELEMENTS.has(name) || attributeSource.trimEnd().endsWith('/')) {
+            continue;
+        }
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const end = html.toLowerCase().indexOf(`</${name}`, TOKEN_PATTERN.lastIndex);
+            if (end === -1) {
+                report('unclosed_tag', 'error', `<${name}> is never closed`, match.index, token);
+                skipped.push([match.index, html.length]);
+                break;
+            }
+            const closeEnd = html.indexOf('>', end);
+            skipped.push([match.index, closeEnd === -1 ? html.length : closeEnd + 1]);
+            TOKEN_PATTERN.lastIndex = closeEnd === -1 ? html.length : closeEnd + 1;
+            continue;
+        }
+        stack.push({ name, index: match.index, token });
+    }
+    for (const element of stack) {
+        if (!IMPLIED_END[element.name]) {
+            report('unclosed_tag', 'error', `<${element.name}> is never closed`, element.index, element.token);
+        }
+    }
+    return skipped;
+}
+// Lint a post ({ title, content, labels }). Checking links needs the API, so the caller looks up the paths from
+// internalPostLinks() and passes the ones with no live post as `missingPaths`.
+export function lintPost({ title, content, labels }, { blogUrl, missingPaths } = {}) {
+    const html = String(content || '');
+    const lineStarts = [0, ...[...html.matchAll(/\n/g)].map(match => match.index + 1)];
+    const findings = [];
+    const report = (rule, severity, message, index, source) => {
+        const line = index === undefined ? undefined : lineStarts.findLastIndex(start => start <= index) + 1;
+        findings.push({ rule, severity, message, ...(line ? { line } : {}), ...(source ? { excerpt: excerpt(source) } : {}) });
+    };
+    const trimmedTitle = String(title || '').trim();
+    if (!trimmedTitle) {
+        report('title', 'error', 'Title is empty');
+    }
+    else if (trimmedTitle.length > MAX_TITLE_LENGTH) {
+        report('title', 'warning', `Title is ${trimmedTitle.length} characters; search results cut it off after about ${MAX_TITLE_LENGTH}`);
+    }
+    if (!labels?.length) {
+        report('labels', 'warning', 'Post has no labels, so it won\'t show up on any label page');
+    }
+    const skipped = checkMarkup(html, report);
+    // Placeholders are looked for in the text only: not in tags, comments, scripts or code samples
+    const codeBlocks = [...html.matchAll(/<(pre|code)\b[\s\S]*?<\/\1\s*>/gi)].map(match => [match.index, match.index + match[0].length]);
+    const text = mask(html, [...skipped, ...codeBlocks]).replace(/<[^>]*>/g, tag => tag.replace(/[^\n]/g, ' '));
+    if (!text.replace(/&nbsp;/g, ' ').trim() && !/<(?:img|picture|svg|iframe|video|audio|embed|object|table)\b/i.test(html)) {
+        report('empty_content', 'error', 'Post has no content');
+    }
+    for (const { pattern, severity } of PLACEHOLDERS) {
+        for (const match of trimmedTitle.matchAll(pattern)) {
+            report('placeholder', severity, `Placeholder text "${match[0]}" in the title`);
+        }
+        for (const match of text.matchAll(pattern)) {
+            report('placeholder', severity, `Placeholder text "${match[0]}"`, match.index, html.slice(Math.max(0, match.index - 20), match.index + match[0].length + 20));
+        }
+    }
+    for (const link of internalPostLinks(html, blogUrl)) {
+        if (missingPaths?.has(link.path)) {
+            report('broken_link', 'error', `Link to ${link.href}, which is not a live post on this blog (deleted, or not published yet)`, link.index, link.href);
+        }
+    }
+    findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || (a.line ?? 0) - (b.line ?? 0));
+    const errors = findings.filter(finding => finding.severity === 'error').length;
+    return { ok: errors === 0, errors, warnings: findings.length - errors, findings };
+}
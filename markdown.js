@@ -0,0 +1,94 @@
+import MarkdownIt from 'markdown-it';
+import markdownItAnchor from 'markdown-it-anchor';
+import markdownItFootnote from 'markdown-it-footnote';
+import TurndownService from 'turndown';
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
+import path from 'path';
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const FRONT_MATTER_BOOLEANS = { true: true, yes: true, false: false, no: false };
+const FRONT_MATTER_PATTERN = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const md = new MarkdownIt({
+    html: true, // Blogger content is HTML, so inline HTML passes through untouched
+    linkify: true,
+    typographer: false,
+})
+    .use(markdownItFootnote)
+    .use(markdownItAnchor, { tabIndex: false });
+// Soft line breaks become spaces rather than newlines, see toBloggerHtml()
+md.renderer.rules.softbreak = () => ' ';
+const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+});
+// Markdown has no portable syntax for these, so they are kept as inline HTML
+turndown.keep(['table', 'iframe', 'video', 'audio', 'figure']);
+export function isMarkdownFile(filePath) {
+    return MARKDOWN_EXTENSIONS.includes(path.extname(filePath || '').toLowerCase());
+}
+export function parseFrontMatter(text) {
+    const match = FRONT_MATTER_PATTERN.exec(text);
+    if (!match) {
+        return { data: {}, body: text };
+    }
+    let data;
+    try {
+        data = parseYaml(match[1]) ?? {};
+    }
+    catch (error) {
+        throw new Error(`Invalid YAML front matter: ${error.message}`);
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Front matter must be a YAML mapping of key: value pairs');
+    }
+    return { data, body: text.slice(match[0].length) };
+}
+// Map YAML front matter keys onto the equivalent create_post/update_post arguments
+export function frontMatterToPostArgs(data) {
+    const mapped = {};
+    if (data.title !== undefined)
+        mapped.title = String(data.title);
+    const labels = data.labels ?? data.tags;
+    if (labels !== undefined) {
+        mapped.labels = (Array.isArray(labels) ? labels : String(labels).split(',')).map(label => String(label).trim()).filter(Boolean);
+    }
+    const isDraft = data.isDraft ?? data.draft;
+    if (isDraft !== undefined) {
+        // Anything unrecognised is refused rather than read as false, which would publish a post meant as a draft
+        const value = FRONT_MATTER_BOOLEANS[String(isDraft).toLowerCase()];
+        if (value === undefined) {
+            throw new Error(`Invalid isDraft in front matter: ${JSON.stringify(isDraft)} (use true or false)`);
+        }
+        mapped.isDraft = value;
+    }
+    if (data.publishDate !== undefined)
+        mapped.publishDate = data.publishDate instanceof Date ? data.publishDate.toISOString() : String(data.publishDate);
+    if (data.timeZone !== undefined)
+        mapped.timeZone = String(data.timeZone);
+    if (data.slug !== undefined)
+        mapped.slug = String(data.slug);
+    // Validated with the tool arguments, see parsePostMetadata() in index.js
+    for (const field of ['location', 'customMetaData', 'readerComments']) {
+        if (data[field] !== undefined)
+            mapped[field] = data[field];
+    }
+    return mapped;
+}
+export function stringifyFrontMatter(data, body) {
+    return `---\n${stringifyYaml(data).trimEnd()}\n---\n\n${body.trim()}\n`;
+}
+// Blogger's "Press Enter for line breaks" setting turns every newline in the post HTML into <br>,
+// so newlines are stripped everywhere except inside <pre> blocks where they are significant.
+function toBloggerHtml(html) {
+    return html
+        .split(/(<pre[\s\S]*?<\/pre>)/)
+        .map((chunk, i) => i % 2 ? chunk : chunk.replace(/>\s*\n\s*/g, '>').replace(/\s*\n\s*</g, '<').replace(/\n/g, ' '))
+        .join('')
+        .trim();
+}
+export function renderMarkdown(source) {
+    return toBloggerHtml(md.render(source));
+}
+export function htmlToMarkdown(html) {
+    return turndown.turndown(html || '');
+}
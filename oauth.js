@@ -1,74 +1,182 @@
 import { google } from 'googleapis';
 import express from 'express';
 import open from 'open';
+import { randomBytes } from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-const CONFIG_DIR = path.join(os.homedir(), '.config', 'mcp-blogger');
+import { toolError, ToolError } from './errors.js';
+import { decryptTokens, encryptTokens, isEncrypted, tokenKey } from './tokenstore.js';
+export const CONFIG_DIR = path.join(os.homedir(), '.config', 'mcp-blogger');
+export const DEFAULT_PROFILE = 'default';
+const DEFAULT_REDIRECT_PORT = 3000;
+const CALLBACK_PATH = '/oauth/callback';
+const OAUTH_TIMEOUT_MS = 5 * 60 * 1000;
+// Access tokens this close to expiry are refreshed before use rather than mid-request
+const EXPIRY_MARGIN_MS = 60 * 1000;
+export const FULL_SCOPES = ['https://www.googleapis.com/auth/blogger', 'https://www.googleapis.com/auth/blogger.readonly'];
+export const READ_ONLY_SCOPES = ['https://www.googleapis.com/auth/blogger.readonly'];
+const TRUTHY = ['1', 'true', 'yes'];
+// Google answers invalid_grant when the refresh token was revoked, expired or belongs to a deleted client
+export function isRevokedGrant(error) {
+    const data = error?.response?.data;
+    return data?.error === 'invalid_grant' || data?.error?.status === 'invalid_grant' || /invalid_grant/.test(String(error?.message));
+}
 export class BloggerOAuth {
     oauth2Client;
     config;
+    profile;
     tokenFile;
-    constructor() {
+    // The sign-in in progress: { state, codeVerifier, scopes, redirectUri, authUrl, promise, server, timer }
+    pending;
+    starting;
+    // Each profile (Google account) keeps its own token file; the default profile uses tokens.json
+    constructor(profile = DEFAULT_PROFILE) {
         this.config = {
             clientId: process.env.GOOGLE_CLIENT_ID || '',
             clientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
-            redirectUri: 'http://localhost:3000/oauth/callback',
-            scopes: ['https://www.googleapis.com/auth/blogger', 'https://www.googleapis.com/auth/blogger.readonly']
+            redirectPort: Number(process.env.OAUTH_REDIRECT_PORT) || DEFAULT_REDIRECT_PORT,
+            // No browser or callback server: the user pastes the redirect URL back through auth_complete
+            headless: TRUTHY.includes(String(process.env.OAUTH_HEADLESS).toLowerCase()),
+            // Read-only mode never asks for permission to change the blog
+            scopes: TRUTHY.includes(String(process.env.BLOGGER_READ_ONLY).toLowerCase()) ? READ_ONLY_SCOPES : FULL_SCOPES,
         };
-        this.tokenFile = path.join(CONFIG_DIR, 'tokens.json');
-        this.oauth2Client = new google.auth.OAuth2(this.config.clientId, this.config.clientSecret, this.config.redirectUri);
+        this.profile = profile;
+        this.tokenFile = path.join(CONFIG_DIR, profile === DEFAULT_PROFILE ? 'tokens.json' : `tokens-${profile}.json`);
+        this.oauth2Client = new google.auth.OAuth2(this.config.clientId, this.config.clientSecret);
     }
-    async getAuthenticatedClient() {
-        // Try to load existing tokens
+    // Null when there are no usable tokens; throws when they are encrypted and can't be decrypted with the configured key
+    async readTokens() {
+        let data;
         try {
-            const tokenData = await fs.readFile(this.tokenFile, 'utf8');
-            const tokens = JSON.parse(tokenData);
-            this.oauth2Client.setCredentials(tokens);
-            // Check if token is expired and refresh if needed
-            if (Date.now() >= tokens.expiry_date) {
-                const { credentials } = await this.oauth2Client.refreshAccessToken();
-                await this.saveTokens(credentials);
-                this.oauth2Client.setCredentials(credentials);
+            data = JSON.parse(await fs.readFile(this.tokenFile, 'utf8'));
+        }
+        catch {
+            return null;
+        }
+        const key = tokenKey();
+        if (!isEncrypted(data)) {
+            // Plaintext tokens saved before a key was configured are encrypted in place
+            if (key) {
+                await this.saveTokens(data);
             }
-            return this.oauth2Client;
+            return data;
         }
-        catch (error) {
+        if (!key) {
+            throw new ToolError('not_configured', `${this.tokenFile} is encrypted. Set BLOGGER_TOKEN_KEY or BLOGGER_TOKEN_KEY_FILE to the key used when signing in, or run "mcp-blogger auth logout" to discard the tokens and sign in again`);
+        }
+        return await decryptTokens(data, key, this.tokenFile);
+    }
+    async getAuthenticatedClient() {
+        // Try to load existing tokens
+        const tokens = await this.readTokens();
+        if (!tokens) {
             // No valid tokens found, need to authenticate
             return await this.performOAuthFlow();
         }
+        this.oauth2Client.setCredentials(tokens);
+        // Check if token is expired and refresh if needed
+        if (Date.now() >= tokens.expiry_date - EXPIRY_MARGIN_MS) {
+            try {
+                await this.refreshTokens();
+            }
+            catch (error) {
+                if (!isRevokedGrant(error)) {
+                    throw toolError(error, 'Could not refresh the OAuth access token');
+                }
+                console.error(`OAuth access${this.profile === DEFAULT_PROFILE ? '' : ` for profile "${this.profile}"`} was revoked or has expired; signing in again.`);
+                await fs.unlink(this.tokenFile).catch(() => { });
+                this.oauth2Client.setCredentials({});
+                return await this.performOAuthFlow();
+            }
+        }
+        return this.oauth2Client;
     }
+    async refreshTokens() {
+        const { credentials } = await this.oauth2Client.refreshAccessToken();
+        await this.saveTokens(credentials);
+        this.oauth2Client.setCredentials(credentials);
+        return credentials;
+    }
+    // Concurrent tool calls share one sign-in. In headless mode the call fails with instructions instead of waiting.
     async performOAuthFlow() {
-        return new Promise((resolve, reject) => {
-            const app = express();
-            let server;
-            // Generate the URL for OAuth consent
-            const authUrl = this.oauth2Client.generateAuthUrl({
-                access_type: 'offline',
-                scope: this.config.scopes,
-                prompt: 'consent' // Force consent to get refresh token
+        let pending = this.pending;
+        if (!pending) {
+            this.starting ??= this.startAuthorization().finally(() => {
+                this.starting = undefined;
             });
-            // Handle the OAuth callback
-            app.get('/oauth/callback', async (req, res) => {
-                const { code, error } = req.query;
-                if (error) {
-                    res.send(`Authentication failed: ${error}`);
-                    server.close();
-                    reject(new Error(`OAuth error: ${error}`));
-                    return;
-                }
-                if (!code) {
-                    res.send('No authorization code received');
-                    server.close();
-                    reject(new Error('No authorization code received'));
-                    return;
-                }
-                try {
-                    // Exchange code for tokens
-                    const { tokens } = await this.oauth2Client.getToken(code);
-                    await this.saveTokens(tokens);
-                    this.oauth2Client.setCredentials(tokens);
-                    res.send(`
+            pending = await this.starting;
+        }
+        if (this.config.headless) {
+            throw new ToolError('auth_expired', this.headlessInstructions(pending), { hint: 'Ask the user to open the URL and approve access, pass the URL they were redirected to to auth_complete, then retry.' });
+        }
+        return await pending.promise;
+    }
+    async startAuthorization(scopes = this.config.scopes) {
+        const { codeVerifier, codeChallenge } = await this.oauth2Client.generateCodeVerifierAsync();
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        promise.catch(() => { }); // Nobody waits on a headless sign-in
+        const pending = { state: randomBytes(16).toString('hex'), codeVerifier, scopes, promise, resolve, reject };
+        let port = this.config.redirectPort;
+        if (!this.config.headless) {
+            pending.server = await this.startCallbackServer();
+            port = pending.server.address().port;
+        }
+        pending.redirectUri = `http://localhost:${port}${CALLBACK_PATH}`;
+        // Generate the URL for OAuth consent
+        pending.authUrl = this.oauth2Client.generateAuthUrl({
+            access_type: 'offline',
+            scope: scopes,
+            prompt: 'consent', // Force consent to get refresh token
+            redirect_uri: pending.redirectUri,
+            state: pending.state,
+            code_challenge_method: 'S256',
+            code_challenge: codeChallenge,
+        });
+        // Timeout after 5 minutes
+        pending.timer = setTimeout(() => this.finishAuthorization(pending, new Error('OAuth flow timed out after 5 minutes')), OAUTH_TIMEOUT_MS);
+        pending.timer.unref();
+        this.pending = pending;
+        const urlFile = path.join(CONFIG_DIR, 'oauth-url.txt');
+        fs.mkdir(CONFIG_DIR, { recursive: true, mode: 0o700 }).then(() => fs.writeFile(urlFile, pending.authUrl, { mode: 0o600 })).catch(() => {});
+        console.error(`\n🔐 OAuth Setup Required${this.profile === DEFAULT_PROFILE ? '' : ` for profile "${this.profile}"`}`);
+        if (this.config.headless) {
+            console.error(this.headlessInstructions(pending));
+            return pending;
+        }
+        console.error('Opening browser for Google authentication...');
+        console.error('Please complete the authentication in your browser.\n');
+        console.error('Or visit this URL manually:');
+        console.error(pending.authUrl);
+        // Open browser to start OAuth flow
+        open(pending.authUrl).catch(err => {
+            console.error('Could not open browser automatically.');
+            console.error('Please visit this URL manually:');
+            console.error(pending.authUrl);
+        });
+        return pending;
+    }
+    headlessInstructions(pending) {
+        return [
+            'OAuth sign-in required. Open this URL in a browser on any machine and approve access:',
+            pending.authUrl,
+            `Google then redirects to ${pending.redirectUri}, which will fail to load on this machine. That's expected:`,
+            'copy the full URL from the address bar and pass it to the auth_complete tool (or paste it into "mcp-blogger auth login"), then retry.',
+        ].join('\n');
+    }
+    // Listen on the configured redirect port, or on a free port if it is taken
+    async startCallbackServer() {
+        const app = express();
+        // Handle the OAuth callback
+        app.get(CALLBACK_PATH, async (req, res) => {
+            try {
+                await this.completeAuthorization(req.query);
+                res.send(`
             <html>
               <body>
                 <h2>Authentication Successful!</h2>
@@ -77,55 +185,170 @@ export class BloggerOAuth {
               </body>
             </html>
           `);
-                    server.close();
-                    resolve(this.oauth2Client);
-                }
-                catch (tokenError) {
-                    res.send(`Token exchange failed: ${tokenError}`);
-                    server.close();
-                    reject(tokenError);
-                }
-            });
-            // Start temporary server
-            server = app.listen(3000, () => {
-                const urlFile = path.join(CONFIG_DIR, 'oauth-url.txt');
-                fs.mkdir(CONFIG_DIR, { recursive: true, mode: 0o700 }).then(() => fs.writeFile(urlFile, authUrl, { mode: 0o600 })).catch(() => {});
-                console.error('\n🔐 OAuth Setup Required');
-                console.error('Opening browser for Google authentication...');
-                console.error('Please complete the authentication in your browser.\n');
-                console.error('Or visit this URL manually:');
-                console.error(authUrl);
-                // Open browser to start OAuth flow
-                open(authUrl).catch(err => {
-                    console.error('Could not open browser automatically.');
-                    console.error('Please visit this URL manually:');
-                    console.error(authUrl);
-                });
-            });
-            // Timeout after 5 minutes
-            setTimeout(() => {
-                server.close();
-                reject(new Error('OAuth flow timed out after 5 minutes'));
-            }, 300000);
+            }
+            catch (error) {
+                res.status(400).send(`Authentication failed: ${error.message}`);
+            }
+        });
+        const listen = port => new Promise((resolve, reject) => {
+            const server = app.listen(port, () => resolve(server));
+            server.once('error', reject);
         });
+        try {
+            return await listen(this.config.redirectPort);
+        }
+        catch (error) {
+            if (error.code !== 'EADDRINUSE')
+                throw error;
+            console.error(`Port ${this.config.redirectPort} is in use; using a free port for the OAuth callback instead.`);
+            return await listen(0);
+        }
+    }
+    // Finish the sign-in in progress with the callback query ({ code, state, error }), or with the redirect URL
+    // or bare authorization code pasted through auth_complete
+    async completeAuthorization(response) {
+        const pending = this.pending;
+        if (!pending) {
+            throw new Error('No OAuth sign-in is in progress. Retry the tool that needs OAuth to start one');
+        }
+        let params = response;
+        if (typeof response === 'string') {
+            const text = response.trim();
+            // A bare code carries no state; the PKCE verifier still ties it to this sign-in
+            params = /^https?:\/\//i.test(text) ? Object.fromEntries(new URL(text).searchParams) : { code: text, state: pending.state };
+        }
+        if (params.error) {
+            const error = new Error(`OAuth error: ${params.error}`);
+            this.finishAuthorization(pending, error);
+            throw error;
+        }
+        if (!params.code) {
+            throw new Error('No authorization code received');
+        }
+        if (params.state !== pending.state) {
+            throw new Error('OAuth state mismatch: this response does not belong to the current sign-in. Use the URL from the latest sign-in');
+        }
+        try {
+            // Exchange code for tokens
+            const { tokens } = await this.oauth2Client.getToken({
+                code: params.code,
+                codeVerifier: pending.codeVerifier,
+                redirect_uri: pending.redirectUri,
+            });
+            await this.saveTokens(tokens);
+            this.oauth2Client.setCredentials(tokens);
+            this.finishAuthorization(pending);
+            return tokens;
+        }
+        catch (tokenError) {
+            this.finishAuthorization(pending, tokenError);
+            throw new Error(`Token exchange failed: ${tokenError.message ?? tokenError}`);
+        }
+    }
+    finishAuthorization(pending, error) {
+        clearTimeout(pending.timer);
+        pending.server?.close();
+        pending.server?.closeIdleConnections?.();
+        if (this.pending === pending) {
+            this.pending = undefined;
+        }
+        if (error)
+            pending.reject(error);
+        else
+            pending.resolve(this.oauth2Client);
     }
     async saveTokens(tokens) {
         try {
+            const key = tokenKey();
+            const data = key ? await encryptTokens(tokens, key) : tokens;
             await fs.mkdir(CONFIG_DIR, { recursive: true, mode: 0o700 });
-            await fs.writeFile(this.tokenFile, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+            // Write then rename, so a crash never leaves a half-written token file behind
+            const tempFile = `${this.tokenFile}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+            await fs.rename(tempFile, this.tokenFile);
         }
         catch (error) {
             console.error('Failed to save OAuth tokens:', error);
         }
     }
+    // What the stored tokens say about this profile's sign-in, checked against Google when there are any
+    async getStatus() {
+        const status = { profile: this.profile, tokenFile: this.tokenFile, authenticated: false, signInPending: !!this.pending };
+        let tokens;
+        try {
+            tokens = await this.readTokens();
+        }
+        catch (error) {
+            return { ...status, error: error.message };
+        }
+        if (!tokens) {
+            return status;
+        }
+        status.encrypted = !!tokenKey();
+        this.oauth2Client.setCredentials(tokens);
+        let current = tokens;
+        try {
+            if (!tokens.expiry_date || Date.now() >= tokens.expiry_date - EXPIRY_MARGIN_MS) {
+                current = await this.refreshTokens();
+            }
+            const { data: user } = await google.blogger({ version: 'v3', auth: this.oauth2Client }).users.get({ userId: 'self' });
+            status.authenticated = true;
+            status.account = { id: user.id, displayName: user.displayName, url: user.url };
+        }
+        catch (error) {
+            status.error = isRevokedGrant(error) ? 'Access was revoked or has expired; sign in again with auth_login' : String(error.message ?? error);
+        }
+        const scopes = current.scope ? current.scope.split(' ') : [];
+        return {
+            ...status,
+            scopes,
+            readOnly: !scopes.includes(FULL_SCOPES[0]),
+            expiresAt: current.expiry_date ? new Date(current.expiry_date).toISOString() : null,
+            refreshToken: !!current.refresh_token,
+        };
+    }
+    // Start a sign-in unless the stored tokens already grant the requested scopes. Resolves with the pending sign-in,
+    // or null when nothing needs to be done.
+    async login({ readOnly = this.config.scopes === READ_ONLY_SCOPES, force = false } = {}) {
+        const scopes = readOnly ? READ_ONLY_SCOPES : FULL_SCOPES;
+        const tokens = force ? null : await this.readTokens();
+        const hasFullAccess = (tokens?.scope || '').split(' ').includes(FULL_SCOPES[0]);
+        // Switching between full and read-only access needs a new grant
+        if (!force && tokens?.refresh_token && hasFullAccess === !readOnly) {
+            return null;
+        }
+        if (this.pending) {
+            this.finishAuthorization(this.pending, new Error('Superseded by a new sign-in'));
+        }
+        return await this.startAuthorization(scopes);
+    }
+    // Revoke the grant at Google and delete the token file. The file is deleted even if Google can't be reached
+    // or the grant is already gone.
     async revokeAuth() {
+        let tokens;
         try {
+            tokens = await this.readTokens();
+        }
+        catch (readError) {
+            // Tokens that can't be decrypted can't be revoked either, but deleting them lets the user sign in again
+            await fs.unlink(this.tokenFile).catch(() => { });
+            return { revoked: false, deleted: true, error: readError.message };
+        }
+        if (!tokens) {
+            return { revoked: false, deleted: false };
+        }
+        let revoked = false;
+        let error;
+        try {
+            this.oauth2Client.setCredentials(tokens);
             await this.oauth2Client.revokeCredentials();
-            await fs.unlink(this.tokenFile).catch(() => { }); // Ignore if file doesn't exist
-            console.error('Authentication revoked successfully');
+            revoked = true;
         }
-        catch (error) {
-            console.error('Failed to revoke authentication:', error);
+        catch (revokeError) {
+            error = String(revokeError.message ?? revokeError);
         }
+        await fs.unlink(this.tokenFile).catch(() => { }); // Ignore if file doesn't exist
+        this.oauth2Client.setCredentials({});
+        return { revoked, deleted: true, ...(error ? { error } : {}) };
     }
 }
@@ -0,0 +1,50 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { CONFIG_DIR, DEFAULT_PROFILE } from './oauth.js';
+export const CONFIG_FILE = process.env.BLOGGER_CONFIG || path.join(CONFIG_DIR, 'config.json');
+const NAME_PATTERN = /^[\w-]+$/;
+// config.json maps blog aliases to a blog ID and the profile (Google account) that owns it:
+// {
+//   "defaultBlog": "engineering",
+//   "defaultProfile": "work",
+//   "profiles": ["work", "personal"],
+//   "blogs": {
+//     "engineering": { "blogId": "1234567890", "profile": "work" },
+//     "personal": { "blogId": "9876543210", "profile": "personal" }
+//   }
+// }
+// A blog entry may also be just the blog ID, using the default profile.
+export function loadConfig(file = CONFIG_FILE) {
+    let raw;
+    try {
+        raw = JSON.parse(readFileSync(file, 'utf8'));
+    }
+    catch (error) {
+        if (error.code === 'ENOENT' && file === CONFIG_FILE && !process.env.BLOGGER_CONFIG) {
+            return { defaultBlog: undefined, defaultProfile: DEFAULT_PROFILE, profiles: [DEFAULT_PROFILE], blogs: {} };
+        }
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+    const defaultProfile = raw.defaultProfile || DEFAULT_PROFILE;
+    const blogs = {};
+    for (const [alias, entry] of Object.entries(raw.blogs || {})) {
+        const { blogId, profile = defaultProfile } = typeof entry === 'object' && entry !== null ? entry : { blogId: entry };
+        if (!blogId || !/^\d+$/.test(String(blogId))) {
+            throw new Error(`${file}: blog "${alias}" needs a numeric blogId`);
+        }
+        blogs[alias] = { blogId: String(blogId), profile: String(profile) };
+    }
+    const profiles = [...new Set([DEFAULT_PROFILE, defaultProfile, ...(raw.profiles || []), ...Object.values(blogs).map(blog => blog.profile)])];
+    const invalid = profiles.find(profile => !NAME_PATTERN.test(profile));
+    if (invalid !== undefined) {
+        throw new Error(`${file}: invalid profile name "${invalid}" (use letters, digits, "-" and "_")`);
+    }
+    return { defaultBlog: raw.defaultBlog ? String(raw.defaultBlog) : undefined, defaultProfile, profiles, blogs };
+}
+// Look up a blog by alias, or by blog ID to find the profile it belongs to
+export function findBlog(config, value) {
+    if (Object.hasOwn(config.blogs, value)) {
+        return config.blogs[value];
+    }
+    return Object.values(config.blogs).find(blog => blog.blogId === value);
+}
@@ -0,0 +1,140 @@
+const BLOG_ID_ARGUMENT = { name: 'blogId', description: 'Blog ID (optional if DEFAULT_BLOG_ID is set)', required: false };
+// Prompt arguments are always strings in MCP
+export const PROMPTS = [
+    {
+        name: 'draft_post_from_outline',
+        description: 'Draft a blog post from an outline, in the style of the blog\'s recent posts and using its existing labels',
+        arguments: [
+            { name: 'outline', description: 'Outline or bullet points for the post', required: true },
+            BLOG_ID_ARGUMENT,
+            { name: 'tone', description: 'Tone of voice, e.g. "casual" or "technical" (default: match recent posts)', required: false },
+            { name: 'audience', description: 'Intended readers, e.g. "beginners"', required: false },
+        ],
+    },
+    {
+        name: 'seo_review',
+        description: 'Review a post for search engine optimization: title, headings, keyword use, links, images and length',
+        arguments: [
+            { name: 'postId', description: 'Post ID', required: true },
+            BLOG_ID_ARGUMENT,
+            { name: 'keyword', description: 'Target search keyword or phrase (optional)', required: false },
+        ],
+    },
+    {
+        name: 'write_excerpt',
+        description: 'Write a short summary of a post for search snippets, social media and the blog\'s home page',
+        arguments: [
+            { name: 'postId', description: 'Post ID', required: true },
+            BLOG_ID_ARGUMENT,
+            { name: 'words', description: 'Approximate length of the excerpt in words (default: 50)', required: false },
+        ],
+    },
+    {
+        name: 'suggest_labels',
+        description: 'Suggest labels for a post from the labels the blog already uses',
+        arguments: [
+            { name: 'postId', description: 'Post ID (or pass content instead)', required: false },
+            { name: 'content', description: 'Text of an unpublished post to label (used when postId is not given)', required: false },
+            BLOG_ID_ARGUMENT,
+        ],
+    },
+];
+// Labels used across the given posts with how many carry each and when one was last published, most used first
+export function labelTaxonomy(posts) {
+    const labels = new Map();
+    for (const post of posts) {
+        const date = post.published || post.updated || null;
+        for (const label of post.labels || []) {
+            const entry = labels.get(label) || { label, count: 0, lastUsed: null };
+            entry.count++;
+            if (date && (!entry.lastUsed || Date.parse(date) > Date.parse(entry.lastUsed)))
+                entry.lastUsed = date;
+            labels.set(label, entry);
+        }
+    }
+    return [...labels.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+function formatTaxonomy(taxonomy) {
+    return taxonomy.length ? taxonomy.map(({ label, count }) => `- ${label} (${count})`).join('\n') : '(the blog has no labels yet)';
+}
+function text(value) {
+    return { role: 'user', content: { type: 'text', text: value } };
+}
+// The post content travels as an embedded resource (the same as reading its blogger:// URI) so clients can show it as an attachment
+function postResource(uri, post) {
+    return { role: 'user', content: { type: 'resource', resource: { uri, mimeType: 'text/html', text: post.content || '' } } };
+}
+// Build the prompts/get result from the prompt arguments and the live blog data fetched for it:
+// { blogId, post, uri } when a postId was given, plus { posts, taxonomy } for the prompts that need the blog's labels
+export function buildPrompt(name, args, data) {
+    switch (name) {
+        case 'draft_post_from_outline': {
+            const recent = data.posts.slice(0, 10).map(post => `- ${post.title}${post.labels.length ? ` [${post.labels.join(', ')}]` : ''}`).join('\n');
+            return {
+                description: 'Draft a post from an outline',
+                messages: [text([
+                    'Write a complete blog post from the outline below.',
+                    '',
+                    `Outline:\n${args.outline}`,
+                    '',
+                    `Tone: ${args.tone || 'match the recent posts listed below'}`,
+                    ...(args.audience ? [`Audience: ${args.audience}`] : []),
+                    '',
+                    `Recent posts on this blog, for style and to avoid repeating a topic:\n${recent || '(no posts yet)'}`,
+                    '',
+                    `Labels already in use (prefer these over new ones):\n${formatTaxonomy(data.taxonomy)}`,
+                    '',
+                    `When the draft is ready, save it with create_post (blogId ${data.blogId}, content as Markdown with format "markdown", 2-4 labels). It is created as a draft, so nothing is published until reviewed.`,
+                ].join('\n'))],
+            };
+        }
+        case 'seo_review':
+            return {
+                description: `SEO review of "${data.post.title}"`,
+                messages: [
+                    text([
+                        'Review the attached blog post for search engine optimization and give concrete, prioritized fixes.',
+                        '',
+                        'Cover: the title (length, clarity, keyword placement), the opening paragraph, heading structure, keyword use and natural variations,',
+                        'internal and external links, image alt text, readability and length, and the labels.',
+                        ...(args.keyword ? ['', `Target keyword: ${args.keyword}`] : []),
+                        '',
+                        `Post: "${data.post.title}" at ${data.post.url || '(not published yet)'} (status ${data.post.status}, labels: ${data.post.labels.join(', ') || 'none'})`,
+                        '',
+                        `To apply the fixes, use update_post with postId ${data.post.id} and dryRun: true first to show the diff.`,
+                    ].join('\n')),
+                    postResource(data.uri, data.post),
+                ],
+            };
+        case 'write_excerpt':
+            return {
+                description: `Excerpt for "${data.post.title}"`,
+                messages: [
+                    text([
+                        `Write an excerpt of about ${args.words || 50} words for the attached blog post, "${data.post.title}".`,
+                        'It should stand on its own as a search snippet or social media teaser: plain text, no headings, no "In this post" openers,',
+                        'and it should make the reader want to read the whole post without giving away the conclusion.',
+                        '',
+                        'Also give a meta description of at most 155 characters.',
+                    ].join('\n')),
+                    postResource(data.uri, data.post),
+                ],
+            };
+        case 'suggest_labels':
+            return {
+                description: data.post ? `Label suggestions for "${data.post.title}"` : 'Label suggestions',
+                messages: [
+                    text([
+                        'Suggest 2-5 labels for the post below.',
+                        'Strongly prefer labels the blog already uses, listed with how many posts carry each; only propose a new label when none fits, and say why.',
+                        '',
+                        `Existing labels:\n${formatTaxonomy(data.taxonomy)}`,
+                        ...(data.post ? ['', `Post title: ${data.post.title}`, `Current labels: ${data.post.labels.join(', ') || 'none'}. To apply, use update_post with postId ${data.post.id} and the full label list.`] : []),
+                    ].join('\n')),
+                    data.post ? postResource(data.uri, data.post) : text(`Post:\n${args.content}`),
+                ],
+            };
+        default:
+            throw new Error(`Unknown prompt: ${name}`);
+    }
+}
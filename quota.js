@@ -0,0 +1,189 @@
+// Shared request layer for Blogger API calls: client-side rate limiting, retries with backoff, and usage counts
+const MAX_RETRIES = Number(process.env.BLOGGER_MAX_RETRIES ?? 4);
+// Requests per second across all sessions of this process; 0 turns the limiter off
+const RATE_LIMIT = Number(process.env.BLOGGER_RATE_LIMIT ?? 5);
+// Blogger's default quota is 10,000 requests per day per project
+const DAILY_QUOTA = Number(process.env.BLOGGER_DAILY_QUOTA) || 10000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30 * 1000;
+// A Retry-After longer than this fails the call instead of blocking it
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+// Google reports per-user rate limits as 403 with one of these reasons; daily quota exhaustion isn't worth retrying
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+// Inserts aren't idempotent: retrying one after a server error could create the post twice
+const NON_IDEMPOTENT = new Set(['posts.insert', 'pages.insert']);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+export function errorStatus(error) {
+    return error?.response?.status ?? (typeof error?.code === 'number' ? error.code : undefined);
+}
+export function errorReason(error) {
+    return error?.response?.data?.error?.errors?.[0]?.reason ?? error?.errors?.[0]?.reason;
+}
+export function isRateLimited(error) {
+    const status = errorStatus(error);
+    return status === 429 || (status === 403 && RATE_LIMIT_REASONS.has(errorReason(error)));
+}
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(error) {
+    const headers = error?.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const ms = /^\d+$/.test(String(value).trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isNaN(ms) ? undefined : Math.max(0, ms);
+}
+// How long to wait before retrying `method` after `error`, or undefined to give up
+function retryDelay(method, error, attempt) {
+    if (attempt >= MAX_RETRIES) {
+        return undefined;
+    }
+    const status = errorStatus(error);
+    const retryable = isRateLimited(error) ||
+        (!NON_IDEMPOTENT.has(method) && (RETRYABLE_STATUS.has(status) || RETRYABLE_NETWORK_ERRORS.has(error?.code)));
+    if (!retryable) {
+        return undefined;
+    }
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== undefined) {
+        return retryAfter <= MAX_RETRY_AFTER_MS ? retryAfter : undefined;
+    }
+    // Exponential backoff with jitter, so concurrent calls don't retry in lockstep
+    const backoff = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+// Token bucket that hands out requests in arrival order. After a rate-limit response every caller waits out the pause,
+// not just the one that got it.
+export class RateLimiter {
+    rate;
+    burst;
+    tokens;
+    last = Date.now();
+    pausedUntil = 0;
+    queue = Promise.resolve();
+    constructor(rate, burst = Math.max(1, Math.ceil(rate))) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+    }
+    // Resolves with the number of milliseconds the caller was held back
+    acquire() {
+        if (!(this.rate > 0)) {
+            return Promise.resolve(0);
+        }
+        const started = Date.now();
+        const turn = this.queue.then(async () => {
+            if (Date.now() < this.pausedUntil) {
+                await sleep(this.pausedUntil - Date.now());
+            }
+            this.refill();
+            if (this.tokens < 1) {
+                await sleep((1 - this.tokens) / this.rate * 1000);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn;
+        return turn.then(() => Date.now() - started);
+    }
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.last) / 1000 * this.rate);
+        this.last = now;
+    }
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+}
+const sharedLimiter = new RateLimiter(RATE_LIMIT);
+// API usage of one MCP session, reported by get_usage. Every request counts against the quota, retries included.
+export class ApiUsage {
+    startedAt = new Date();
+    calls = 0;
+    requests = 0;
+    retries = 0;
+    rateLimited = 0;
+    failures = 0;
+    throttledMs = 0;
+    backoffMs = 0;
+    byMethod = new Map();
+    method(name) {
+        if (!this.byMethod.has(name)) {
+            this.byMethod.set(name, { calls: 0, requests: 0, failures: 0 });
+        }
+        return this.byMethod.get(name);
+    }
+    snapshot() {
+        return {
+            since: this.startedAt.toISOString(),
+            calls: this.calls,
+            requests: this.requests,
+            retries: this.retries,
+            rateLimited: this.rateLimited,
+            failures: this.failures,
+            throttledMs: this.throttledMs,
+            backoffMs: this.backoffMs,
+            quota: {
+                dailyLimit: DAILY_QUOTA,
+                usedThisSession: this.requests,
+                note: 'Blogger counts each request against a daily quota shared by every user of the Google Cloud project; other sessions and apps are not included here',
+            },
+            limits: { requestsPerSecond: RATE_LIMIT > 0 ? RATE_LIMIT : null, maxRetries: MAX_RETRIES },
+            byMethod: Object.fromEntries([...this.byMethod].sort(([a], [b]) => a.localeCompare(b))),
+        };
+    }
+}
+// Run one API call through the rate limiter, retrying rate-limit responses, server errors and dropped connections
+export async function callApi(method, request, usage, limiter = sharedLimiter) {
+    const stats = usage.method(method);
+    usage.calls++;
+    stats.calls++;
+    for (let attempt = 0;; attempt++) {
+        usage.throttledMs += await limiter.acquire();
+        usage.requests++;
+        stats.requests++;
+        try {
+            return await request();
+        }
+        catch (error) {
+            const delay = retryDelay(method, error, attempt);
+            if (isRateLimited(error)) {
+                usage.rateLimited++;
+                if (delay !== undefined)
+                    limiter.pause(delay);
+            }
+            if (delay === undefined) {
+                usage.failures++;
+                stats.failures++;
+                throw error;
+            }
+            usage.retries++;
+            usage.backoffMs += delay;
+            await sleep(delay);
+        }
+    }
+}
+// Wrap a googleapis Blogger client so that every `client.<resource>.<method>(...)` goes through callApi. The client's
+// resources are read-only, non-configurable properties, which a Proxy of the client itself must return unchanged, so
+// the outer Proxy has an empty target and reads from `client`.
+export function withRetries(client, usage) {
+    return new Proxy({}, {
+        get(_target, resourceName) {
+            const resource = client[resourceName];
+            if (!resource || typeof resource !== 'object') {
+                return resource;
+            }
+            return new Proxy(resource, {
+                get(methods, methodName) {
+                    const method = methods[methodName];
+                    if (typeof method !== 'function') {
+                        return method;
+                    }
+                    return (...args) => callApi(`${String(resourceName)}.${String(methodName)}`, () => method.apply(methods, args), usage);
+                },
+            });
+        },
+    });
+}
@@ -0,0 +1,117 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { isMarkdownFile, parseFrontMatter } from './markdown.js';
+export const SYNC_STATE_FILE = '.blogger-sync.json';
+const SYNC_EXTENSIONS = ['.md', '.markdown', '.html', '.htm'];
+export function hashContent(text) {
+    return createHash('sha256').update(text).digest('hex');
+}
+export async function loadSyncState(dir, blogId) {
+    let state;
+    try {
+        state = JSON.parse(await fs.readFile(path.join(dir, SYNC_STATE_FILE), 'utf8'));
+    }
+    catch (error) {
+        if (error.code === 'ENOENT')
+            return { blogId, files: {} };
+        throw new Error(`Could not read ${SYNC_STATE_FILE}: ${error.message}`);
+    }
+    if (state.blogId !== blogId) {
+        throw new Error(`${dir} is synced with blog ${state.blogId}, not ${blogId}`);
+    }
+    return { blogId, files: state.files || {} };
+}
+export async function saveSyncState(dir, state) {
+    await fs.writeFile(path.join(dir, SYNC_STATE_FILE), JSON.stringify({ ...state, syncedAt: new Date().toISOString() }, null, 2));
+}
+// Post files under dir, keyed by path relative to dir (always with forward slashes so the state file is portable)
+export async function readSyncFiles(dir, prefix = '') {
+    const files = new Map();
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.name.startsWith('.') || entry.name === 'node_modules')
+            continue;
+        if (entry.isDirectory()) {
+            for (const [file, info] of await readSyncFiles(dir, relative))
+                files.set(file, info);
+        }
+        else if (entry.isFile() && SYNC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            const text = await fs.readFile(path.join(dir, relative), 'utf8');
+            // Front matter "id" (written by sync_pull and export_blog) ties an untracked file to an existing post
+            let id = null;
+            if (isMarkdownFile(relative)) {
+                try {
+                    id = parseFrontMatter(text).data.id?.toString() || null;
+                }
+                catch {
+                    // Reported when the file is pushed
+                }
+            }
+            files.set(relative, { hash: hashContent(text), id });
+        }
+    }
+    return files;
+}
+function remoteChanged(entry, post) {
+    return post.updated !== entry.updated || (!!post.etag && !!entry.etag && post.etag !== entry.etag);
+}
+// Classify every tracked file, untracked file and unseen remote post by which side changed since the last sync:
+// unchanged, local-changed, remote-changed, conflict, local-deleted, remote-deleted, new-local or new-remote
+export function compareSyncState(state, localFiles, remotePosts) {
+    const remoteById = new Map(remotePosts.map(post => [post.id, post]));
+    const trackedIds = new Set(Object.values(state.files).map(entry => entry.postId));
+    const entries = [];
+    for (const [file, entry] of Object.entries(state.files)) {
+        const local = localFiles.get(file);
+        const post = remoteById.get(entry.postId);
+        const base = { file, postId: entry.postId, title: post?.title ?? entry.title ?? null, lastSynced: entry.updated, remoteUpdated: post?.updated ?? null };
+        const localDirty = local && local.hash !== entry.hash;
+        const remoteDirty = post && remoteChanged(entry, post);
+        let status;
+        if (!local && !post)
+            status = 'local-deleted';
+        else if (!local)
+            status = remoteDirty ? 'conflict' : 'local-deleted';
+        else if (!post)
+            status = localDirty ? 'conflict' : 'remote-deleted';
+        else if (localDirty && remoteDirty)
+            status = 'conflict';
+        else if (localDirty)
+            status = 'local-changed';
+        else if (remoteDirty)
+            status = 'remote-changed';
+        else
+            status = 'unchanged';
+        entries.push({ ...base, status });
+    }
+    for (const [file, local] of localFiles) {
+        if (state.files[file])
+            continue;
+        const post = local.id && !trackedIds.has(local.id) ? remoteById.get(local.id) : undefined;
+        if (post) {
+            // Both sides exist but were never synced, so there is no baseline to tell which one is newer
+            trackedIds.add(post.id);
+            entries.push({ file, postId: post.id, title: post.title, lastSynced: null, remoteUpdated: post.updated, status: 'conflict', reason: 'not synced before; the post and the file both exist' });
+        }
+        else {
+            entries.push({ file, postId: null, title: null, lastSynced: null, remoteUpdated: null, status: 'new-local' });
+        }
+    }
+    for (const post of remotePosts) {
+        if (!trackedIds.has(post.id)) {
+            entries.push({ file: null, postId: post.id, title: post.title, lastSynced: null, remoteUpdated: post.updated, status: 'new-remote' });
+        }
+    }
+    return entries;
+}
+// Pick a file name for a post that has never been pulled, based on its permalink or title
+export function syncFileName(post, extension, taken) {
+    const fromUrl = post.url ? path.posix.basename(new URL(post.url).pathname, '.html') : '';
+    const fromTitle = String(post.title || '').toLowerCase().normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s_]+/g, '-');
+    const stem = fromUrl || fromTitle || `post-${post.id}`;
+    let name = `${stem}.${extension}`;
+    for (let i = 2; taken.has(name); i++)
+        name = `${stem}-${i}.${extension}`;
+    return name;
+}
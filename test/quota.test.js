@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { google } from 'googleapis';
+import { ApiUsage, withRetries } from '../quota.js';
+// Answers requests in-process instead of over the network, recording their URLs
+function fakeAdapter(urls, data) {
+    return async (options) => {
+        urls.push(String(options.url));
+        return { config: options, data, status: 200, statusText: 'OK', headers: {} };
+    };
+}
+test('withRetries calls methods of a real Blogger client and counts them', async () => {
+    const usage = new ApiUsage();
+    const client = withRetries(google.blogger({ version: 'v3', auth: 'key' }), usage);
+    const urls = [];
+    const response = await client.posts.get({ blogId: '1', postId: '2' }, { adapter: fakeAdapter(urls, { id: '2' }) });
+    assert.deepEqual(response.data, { id: '2' });
+    assert.match(urls[0], /\/blogs\/1\/posts\/2\b/);
+    assert.equal(usage.calls, 1);
+    assert.equal(usage.method('posts.get').calls, 1);
+});
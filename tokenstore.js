@@ -0,0 +1,72 @@
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'crypto';
+import { readFileSync } from 'fs';
+import { promisify } from 'util';
+import { ToolError } from './errors.js';
+const CIPHER = 'aes-256-gcm';
+const FORMAT = 'mcp-blogger-tokens';
+const scryptAsync = promisify(scrypt);
+// Derived keys by salt and secret, so reading the token file on every call doesn't rerun scrypt
+const derivedKeys = new Map();
+// The token encryption secret: BLOGGER_TOKEN_KEY, or the contents of the file named by BLOGGER_TOKEN_KEY_FILE.
+// Undefined when neither is set, in which case tokens are stored as plain JSON.
+export function tokenKey() {
+    if (process.env.BLOGGER_TOKEN_KEY) {
+        return process.env.BLOGGER_TOKEN_KEY;
+    }
+    const keyFile = process.env.BLOGGER_TOKEN_KEY_FILE;
+    if (!keyFile) {
+        return undefined;
+    }
+    let key;
+    try {
+        key = readFileSync(keyFile, 'utf8').trim();
+    }
+    catch (error) {
+        throw new ToolError('not_configured', `Could not read the token key file ${keyFile} (BLOGGER_TOKEN_KEY_FILE): ${error.message}`);
+    }
+    if (!key) {
+        throw new ToolError('not_configured', `The token key file ${keyFile} (BLOGGER_TOKEN_KEY_FILE) is empty`);
+    }
+    return key;
+}
+async function deriveKey(secret, salt) {
+    const id = `${salt.toString('base64')}:${secret}`;
+    if (!derivedKeys.has(id)) {
+        derivedKeys.set(id, await scryptAsync(secret, salt, 32));
+    }
+    return derivedKeys.get(id);
+}
+export function isEncrypted(data) {
+    return data?.format === FORMAT;
+}
+// Encrypt the tokens into the JSON envelope stored in the token file. The key is derived from the secret with scrypt,
+// so a passphrase works as well as a random key.
+export async function encryptTokens(tokens, secret) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(CIPHER, await deriveKey(secret, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+    return {
+        format: FORMAT,
+        cipher: CIPHER,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+export async function decryptTokens(envelope, secret, file) {
+    if (envelope.cipher !== CIPHER) {
+        throw new Error(`${file} uses an unsupported cipher (${envelope.cipher})`);
+    }
+    try {
+        const decipher = createDecipheriv(CIPHER, await deriveKey(secret, Buffer.from(envelope.salt, 'base64')), Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    }
+    catch {
+        // GCM authentication fails the same way for a wrong key and a tampered file
+        throw new ToolError('not_configured', `Could not decrypt ${file}: the token key is wrong or the file is damaged. Set BLOGGER_TOKEN_KEY or BLOGGER_TOKEN_KEY_FILE to the key used when signing in, or run "mcp-blogger auth logout" to discard the tokens and sign in again`);
+    }
+}